@@ -1,7 +1,536 @@
 'use strict';
 
-// Minimal service worker required by Manifest V3.
-// All measurement logic lives in content.js (persistent per page).
+// The service worker owns the measurement session.  Content scripts only
+// decide whether a keystroke counts and forward it here, so a session
+// survives reloads, navigation and closed tabs, and can follow the user
+// across several tabs.  In-progress state is mirrored to
+// chrome.storage.session because Chrome may suspend the worker at any time.
+
+importScripts('/shared/metrics.js', '/shared/history.js', '/shared/settings.js', '/shared/keystats.js',
+              '/shared/goals.js', '/shared/sync.js', '/shared/rhythm.js', '/shared/engine.js',
+              '/shared/reporter.js', '/shared/privacy.js', '/shared/tags.js');
+
+// ── State ────────────────────────────────────────────────────
+// The counters and clocks are kept by shared/engine.js; this file wires
+// them to messages, storage, alarms and the badge.
+const STATE_KEY             = 'activeSession';
+const AUTO_STOP_ALARM       = 'autoStop';
+const REMINDER_ALARM        = 'dailyReminder';
+const REPORT_RETRY_ALARM    = 'reportRetry';
+const RETENTION_ALARM       = 'retention';
+const GOAL_STATE_KEY        = 'goalState';   // chrome.storage.local
+const NOTIFICATION_ICON     = '/icon/icon128.png';
+const BADGE_COLOR           = '#7c3aed';
+const BADGE_PAUSED_COLOR    = '#5c5b72';
+
+let state          = createSessionState();
+let settings       = { ...DEFAULT_SETTINGS };
+let broadcastTimer = null;
+let badgeText      = null;   // last text set on the action badge
+let privacySalt    = '';     // for hashed private-site labels (shared/privacy.js)
+
+// Restore an in-progress session after the worker was suspended.  Every
+// message handler waits on this before touching `state`.
+const ready = Promise.all([
+  chrome.storage.session.get(STATE_KEY),
+  loadSettings(),
+  loadPrivacySalt(),
+])
+  .then(([{ [STATE_KEY]: saved }, loaded, salt]) => {
+    settings    = loaded;
+    privacySalt = salt;
+    if (saved) state = { ...createSessionState(), ...saved };
+    if (state.isActive && state.pausedAt === null) startBroadcasting();
+    updateBadge(getStats());
+    scheduleReminder();
+    scheduleRetention();
+    sendReports();
+  })
+  .catch(err => console.error('[Typing Speed Meter] Failed to restore session:', err));
+
+// Thresholds and intervals are read from `settings` at the point of use, so
+// a change applies to the running session immediately.
+watchSettings(updated => {
+  const intervalChanged  = updated.broadcastIntervalMs !== settings.broadcastIntervalMs;
+  const reminderChanged  = updated.reminderEnabled !== settings.reminderEnabled ||
+    updated.reminderTime !== settings.reminderTime;
+  const retentionChanged = updated.retentionDays !== settings.retentionDays;
+  const syncChanged      = updated.syncHistory !== settings.syncHistory;
+  const reportChanged    = updated.reportEnabled !== settings.reportEnabled ||
+    updated.reportUrl !== settings.reportUrl;
+  settings = updated;
+  if (intervalChanged && broadcastTimer) startBroadcasting();
+  if (reminderChanged) scheduleReminder();
+  if (retentionChanged) scheduleRetention();
+  if (syncChanged) settings.syncHistory ? syncHistory({ pull: true }) : unsyncHistory();
+  if (reportChanged) settings.reportEnabled ? sendReports({ force: true }) : dropQueuedReports();
+});
+
+function persistState() {
+  return chrome.storage.session.set({ [STATE_KEY]: state }).catch(err => {
+    console.error('[Typing Speed Meter] Failed to persist session:', err);
+  });
+}
+
+function getStats() {
+  return getSessionStats(state, settings, Date.now());
+}
+
+// ── Session persistence ───────────────────────────────────────
+// Builds the record synchronously from `state`; only the write is async.
+// An idle auto session is saved while the next one starts, so nothing may
+// read `state` after the first await.  Returns the saved session, or
+// undefined if nothing was saved.
+async function saveSession(stats) {
+  if (stats.totalChars === 0) return; // nothing typed — skip
+  if (state.unsaved) return;          // typed in incognito (see handleInput)
+  const keyStats = state.keyStats;
+  const rhythm   = summarizeRhythm(state.rhythm);
+
+  const session = {
+    id:              Date.now(),
+    timestamp:       new Date().toISOString(),
+    type:            'passive',              // measured on web pages, vs. 'test'
+    device:          null,                   // the browser that recorded it, set below (shared/sync.js)
+    auto:            state.auto,             // started by auto-tracking
+    profile:         state.profile,          // who typed it (shared/settings.js)
+    domain:          primaryDomain(state.domains),
+    domains:         { ...state.domains },
+    duration:        stats.activeTime,       // active typing seconds
+    elapsed:         stats.elapsedTime,      // wall-clock seconds, pauses excluded
+    avgWPM:          stats.wpm,
+    avgCPM:          stats.cpm,
+    netWPM:          stats.netWpm,
+    accuracy:        stats.accuracy,         // percent of typed chars not deleted
+    correctionRatio: stats.correctionRatio,  // percent of keystrokes that deleted
+    totalChars:      stats.totalChars,
+    unspacedChars:   stats.unspacedChars,    // Chinese / Japanese chars, one word each
+    backspaces:      stats.backspaces,
+    deletedChars:    stats.deletedChars,
+    corrections:     stats.corrections,
+    pastedChars:     stats.pastedChars,
+    assistedChars:   stats.assistedChars,    // inserted without typing, pastes included
+    assisted:        stats.assisted,         // assisted chars by source (shared/engine.js)
+    consistency:     rhythm.consistency ?? undefined,  // per-burst WPM, as for typing tests
+    rhythm,                                  // bursts and idle gaps (shared/rhythm.js)
+    series:          state.series,           // [active seconds, WPM] timeline
+    pauses:          state.pauses,           // [start, end] wall-clock ms of each pause
+    tags:            state.tags.length ? [...state.tags] : undefined,  // from auto-tag rules (shared/tags.js)
+  };
+
+  try {
+    session.device = await getDeviceId();
+    await addSession(session);
+    await trimHistory(settings.historyLimit);
+    if (hasKeyStats(keyStats)) await addKeyStats(keyStats, session.profile);
+  } catch (err) {
+    console.error('[Typing Speed Meter] Failed to save session:', err);
+    return;
+  }
+  await syncHistory();
+  await checkAchievements(session);
+  // Not awaited: a slow team server must not hold up stopping
+  reportSession(session);
+  return session;
+}
+
+// ── History sync ─────────────────────────────────────────────
+// Opt-in: this device's session summaries are mirrored to
+// chrome.storage.sync after each save, and other devices' are merged in as
+// they arrive.  Failures (quota, offline) only cost the roaming copy.
+async function syncHistory({ pull = false } = {}) {
+  if (!settings.syncHistory) return;
+  try {
+    await pushSyncedHistory();
+    if (pull) await pullSyncedHistory({ since: retentionCutoff(settings) });
+  } catch (err) {
+    console.error('[Typing Speed Meter] Failed to sync history:', err);
+  }
+}
+
+function unsyncHistory() {
+  return removeSyncedHistory().catch(err => {
+    console.error('[Typing Speed Meter] Failed to remove synced history:', err);
+  });
+}
+
+watchSyncedHistory(async chunks => {
+  await ready;
+  if (!settings.syncHistory) return;
+  mergeSyncedChunks(chunks, { since: retentionCutoff(settings) }).catch(err => {
+    console.error('[Typing Speed Meter] Failed to merge synced history:', err);
+  });
+});
+
+// Catch up on anything other devices wrote while the browser was closed
+chrome.runtime.onStartup.addListener(async () => {
+  await ready;
+  syncHistory({ pull: true });
+});
+
+// ── Team reporting ───────────────────────────────────────────
+// Opt-in: each saved session's summary is queued and sent to the team
+// server at once.  While the server cannot be reached the queue waits, and
+// an alarm retries with growing delays.
+async function reportSession(session) {
+  if (!settings.reportEnabled || !settings.reportUrl) return;
+  try {
+    await enqueueReport(session, settings);
+  } catch (err) {
+    console.error('[Typing Speed Meter] Failed to queue report:', err);
+    return;
+  }
+  await sendReports();
+}
+
+async function sendReports({ force = false } = {}) {
+  if (!settings.reportEnabled || !settings.reportUrl) return;
+  try {
+    const retryAt = await flushReports(settings.reportUrl, { force });
+    if (retryAt) chrome.alarms.create(REPORT_RETRY_ALARM, { when: retryAt });
+    else chrome.alarms.clear(REPORT_RETRY_ALARM);
+  } catch (err) {
+    console.error('[Typing Speed Meter] Failed to send reports:', err);
+  }
+}
+
+function dropQueuedReports() {
+  chrome.alarms.clear(REPORT_RETRY_ALARM);
+  return clearReportQueue().catch(err => {
+    console.error('[Typing Speed Meter] Failed to clear the report queue:', err);
+  });
+}
+
+// ── Retention ────────────────────────────────────────────────
+// With a retention period set, expired sessions are deleted now and then
+// once a day, whether or not anything is typed
+function scheduleRetention() {
+  chrome.alarms.clear(RETENTION_ALARM);
+  if (!settings.retentionDays) return;
+  chrome.alarms.create(RETENTION_ALARM, { periodInMinutes: 24 * 60 });
+  purgeHistory();
+}
+
+function purgeHistory() {
+  return purgeExpiredSessions(settings).catch(err => {
+    console.error('[Typing Speed Meter] Failed to delete expired sessions:', err);
+  });
+}
+
+// ── Goals, records and reminders ─────────────────────────────
+function notify(id, title, message) {
+  chrome.notifications.create(`tsm-${id}`, {
+    type:    'basic',
+    iconUrl: NOTIFICATION_ICON,
+    title,
+    message,
+  }).catch(err => console.error('[Typing Speed Meter] Notification failed:', err));
+}
+
+// Which of today's goals have been announced, and the best session WPM so
+// far, for the active profile.  The first check seeds the record from
+// history without announcing it.
+async function loadGoalState(today) {
+  const key = profileStorageKey(GOAL_STATE_KEY, settings.profile);
+  const { [key]: saved } = await chrome.storage.local.get(key);
+  let bestWpm = saved?.bestWpm;
+  if (bestWpm === undefined) {
+    bestWpm = Math.max(0, ...profileSessions(await getSessions(), settings)
+      .filter(s => s.duration >= RECORD_MIN_SECONDS)
+      .map(s => s.avgWPM));
+  }
+  return saved?.day === today
+    ? { ...saved, bestWpm }
+    : { day: today, notified: [], bestWpm };
+}
+
+// Runs after every saved session, from the worker or the typing test page.
+// Goals and records are the active profile's; a session filed under another
+// one is not announced.
+async function checkAchievements(session) {
+  if (!isProfileSession(session, settings)) return;
+  try {
+    const today     = periodStart(Date.now(), 'day');
+    const goalState = await loadGoalState(today);
+
+    if (session.duration >= RECORD_MIN_SECONDS && session.avgWPM > goalState.bestWpm) {
+      if (goalState.bestWpm > 0 && settings.notifyRecords) {
+        notify('record', 'New personal best!',
+          `${session.avgWPM} WPM on ${session.domain}, beating your previous best of ${goalState.bestWpm} WPM.`);
+      }
+      goalState.bestWpm = session.avgWPM;
+    }
+
+    const progress = dailyProgress(profileSessions(await getSessionsSince(today), settings), settings);
+    const reached  = progress.goals.filter(g => g.met && !goalState.notified.includes(g.id));
+    if (reached.length && settings.notifyGoals) {
+      const { current } = progress.met
+        ? computeStreak(profileSessions(await getSessions(), settings), settings) : { current: 0 };
+      notify('goal',
+        progress.met ? 'All daily goals reached' : 'Daily goal reached',
+        reached.map(g => `${g.label}: ${g.value} / ${g.target}`).join(' \u00b7 ') +
+          (current > 1 ? ` \u2014 ${current}-day streak!` : ''));
+    }
+    goalState.notified.push(...reached.map(g => g.id));
+
+    await chrome.storage.local.set({ [profileStorageKey(GOAL_STATE_KEY, settings.profile)]: goalState });
+  } catch (err) {
+    console.error('[Typing Speed Meter] Goal check failed:', err);
+  }
+}
+
+// A one-shot alarm at the next reminder time, re-armed each time it fires
+function scheduleReminder() {
+  chrome.alarms.clear(REMINDER_ALARM);
+  if (settings.reminderEnabled) {
+    chrome.alarms.create(REMINDER_ALARM, { when: nextTimeOfDay(settings.reminderTime) });
+  }
+}
+
+async function remindIfBehind() {
+  const today    = await getSessionsSince(periodStart(Date.now(), 'day'));
+  const progress = dailyProgress(profileSessions(today, settings), settings);
+  if (progress.met) return;
+  const open = progress.goals.filter(g => !g.met);
+  notify('reminder', 'Daily typing goal still open', open.length
+    ? open.map(g => `${g.label}: ${g.value} / ${g.target}`).join(' \u00b7 ')
+    : 'You have not typed today yet. A short session keeps your streak going.');
+}
+
+// ── Broadcasting ─────────────────────────────────────────────
+// Live stats go to extension pages (the popup) via runtime messaging and to
+// the visible tab of every window so their on-page overlays stay current.
+async function sendToTabs(message, query = {}) {
+  let tabs = [];
+  try {
+    tabs = await chrome.tabs.query(query);
+  } catch {
+    return;
+  }
+  for (const tab of tabs) {
+    // Tabs without our content script (chrome:// pages etc.) reject — ignore
+    chrome.tabs.sendMessage(tab.id, message).catch(() => {});
+  }
+}
+
+function broadcastStats() {
+  if (isAutoIdle(state, settings, Date.now())) {
+    stopSession({ at: state.lastInputAt });
+    return;
+  }
+  const message = { type: 'statsUpdate', ...getStats() };
+  // sendMessage rejects silently when the popup is closed
+  chrome.runtime.sendMessage(message).catch(() => {});
+  sendToTabs(message, { active: true });
+  updateBadge(message);
+}
+
+// ── Action badge ─────────────────────────────────────────────
+// Live WPM on the toolbar icon while measuring, so no popup is needed to
+// keep an eye on it.  Only changes are pushed to Chrome.
+function updateBadge(stats) {
+  let text = '';
+  if (stats.isPaused)      text = 'II';
+  else if (stats.isActive) text = String(stats.wpm);
+  if (text === badgeText) return;
+  badgeText = text;
+  chrome.action.setBadgeBackgroundColor({ color: stats.isPaused ? BADGE_PAUSED_COLOR : BADGE_COLOR });
+  chrome.action.setBadgeText({ text });
+}
+
+function startBroadcasting() {
+  clearInterval(broadcastTimer);
+  broadcastTimer = setInterval(broadcastStats, settings.broadcastIntervalMs);
+}
+
+function stopBroadcasting() {
+  clearInterval(broadcastTimer);
+  broadcastTimer = null;
+}
+
+// ── Session lifecycle ────────────────────────────────────────
+// Synchronous up to the broadcast, so an input that triggered an automatic
+// start can be recorded before any other message is handled.  The session
+// is filed under `profile` if the popup names one that exists, otherwise
+// under the active profile.
+function startSession({ auto = false, profile } = {}) {
+  state = createSessionState();
+  state.isActive = true;
+  state.auto     = auto;
+  state.profile  = settings.profiles.some(p => p.id === profile) ? profile : settings.profile;
+  persistState();
+
+  // Auto sessions end themselves after an idle period.  broadcastStats checks
+  // this while the worker is awake; the alarm covers a suspended worker.
+  if (auto) chrome.alarms.create(AUTO_STOP_ALARM, { periodInMinutes: 0.5 });
+
+  startBroadcasting();
+  sendToTabs({ type: 'sessionState', isActive: true });
+  const stats = getStats();
+  updateBadge(stats);
+  return { success: true, ...stats };
+}
+
+// `at` overrides the stop time; auto sessions stop at their last input so
+// the idle wait is not counted as elapsed time.  Everything the saved session
+// needs is captured before the first await, so a new session may safely
+// replace `state` while this one is still being written.  The response names
+// the saved session, so the popup can tag it.
+async function stopSession({ at } = {}) {
+  if (!state.isActive) return getStats();
+
+  stopClocks(state, settings, at ?? Date.now());
+
+  stopBroadcasting();
+  chrome.alarms.clear(AUTO_STOP_ALARM);
+  sendToTabs({ type: 'sessionState', isActive: false });
+
+  const finalStats = getStats();
+  updateBadge(finalStats);
+  const saved = await saveSession(finalStats);
+  await persistState();
+  return { ...finalStats, sessionId: saved?.id ?? null, tags: saved?.tags ?? [] };
+}
+
+// See pauseClocks() in shared/engine.js for what a pause does to the clocks
+function pauseSession() {
+  if (!state.isActive || state.pausedAt !== null) return getStats();
+  pauseClocks(state, settings, Date.now());
+  persistState();
+  stopBroadcasting();
+  broadcastStats();
+  return getStats();
+}
+
+function resumeSession() {
+  if (!state.isActive || state.pausedAt === null) return getStats();
+  endPause(state, Date.now());
+  persistState();
+  startBroadcasting();
+  broadcastStats();
+  return getStats();
+}
+
+// Inputs arrive for every typing context on sites auto-tracking covers, and
+// for every site while a session is running.  Input from an incognito tab is
+// dropped, or with the 'unsaved' policy measured in a session that is never
+// saved.  Private sites are recorded under their label from the start, and
+// auto-tag rules are matched against the real hostname and the tab's page,
+// also for input from an iframe (whose `sender.url` is the frame's).
+function handleInput(input, sender = {}) {
+  if (isSiteDenied(settings, input.domain ?? '')) return;
+  const incognito = !!sender.tab?.incognito;
+  if (incognito && settings.incognito !== 'unsaved') return;
+  const at = input.at ?? Date.now();
+
+  // An auto session that went idle is finalized before the new input opens
+  // the next one
+  if (isAutoIdle(state, settings, at)) stopSession({ at: state.lastInputAt });
+
+  if (!state.isActive) {
+    // Only a typed character opens a session; deletes and assisted text alone don't
+    if (input.kind !== 'char' || !autoTrackApplies(settings, input.domain ?? '')) return;
+    startSession({ auto: true });
+  }
+  const domain = recordedDomain(settings, input.domain ?? '', privacySalt);
+  if (recordInput(state, settings, { ...input, domain })) {
+    if (incognito) state.unsaved = true;
+    if (settings.tagRules.length) {
+      state.tags = mergeTags(state.tags, autoTags(settings, input.domain ?? '', sender.tab?.url ?? sender.url));
+    }
+    persistState();
+  }
+}
+
+// ── Keyboard shortcuts ───────────────────────────────────────
+// Declared under "commands" in the manifest; users can rebind them at
+// chrome://extensions/shortcuts.  Session commands are handled here, so they
+// work on any tab; showing or hiding the overlay is up to the page itself.
+async function handleCommand(command, tab) {
+  switch (command) {
+    case 'toggle-session':
+      if (state.isActive) await stopSession();
+      else startSession();
+      break;
+
+    case 'toggle-pause':
+      if (state.pausedAt !== null) resumeSession();
+      else pauseSession();
+      break;
+
+    case 'toggle-overlay': {
+      const [active] = tab ? [tab] : await chrome.tabs.query({ active: true, currentWindow: true });
+      if (active?.id !== undefined) {
+        chrome.tabs.sendMessage(active.id, { type: 'toggleOverlay' }).catch(() => {});
+      }
+      break;
+    }
+  }
+}
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  await ready;
+  handleCommand(command, tab).catch(err => {
+    console.error('[Typing Speed Meter] Command failed:', err);
+  });
+});
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  await ready;
+  switch (alarm.name) {
+    case AUTO_STOP_ALARM:
+      if (isAutoIdle(state, settings, Date.now())) stopSession({ at: state.lastInputAt });
+      else if (!state.isActive || !state.auto) chrome.alarms.clear(AUTO_STOP_ALARM);
+      break;
+
+    case REMINDER_ALARM:
+      scheduleReminder();
+      remindIfBehind().catch(err => console.error('[Typing Speed Meter] Reminder failed:', err));
+      break;
+
+    case REPORT_RETRY_ALARM:
+      sendReports();
+      break;
+
+    case RETENTION_ALARM:
+      purgeHistory();
+      break;
+  }
+});
+
+// ── Message listener ─────────────────────────────────────────
+// Commands (`action`) come from the popup and content scripts; input events
+// (`type: 'input'`) come from content scripts only.
+async function handleMessage(message, sender) {
+  await ready;
+
+  if (message.type === 'input') {
+    handleInput(message, sender);
+    return undefined;
+  }
+
+  switch (message.action) {
+    case 'start':    return startSession({ profile: message.profile });
+    case 'stop':     return stopSession();
+    case 'getStats': return getStats();
+    case 'pause':    return pauseSession();
+    case 'resume':   return resumeSession();
+    // The typing test page saves its own results
+    case 'sessionSaved':
+      await syncHistory();
+      reportSession(message.session);
+      return checkAchievements(message.session);
+  }
+  return undefined;
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  handleMessage(message, sender).then(sendResponse, err => {
+    console.error('[Typing Speed Meter] Message failed:', err);
+    sendResponse(null);
+  });
+  return true; // keep message channel open for async sendResponse
+});
 
 chrome.runtime.onInstalled.addListener(() => {
   console.log('[Typing Speed Meter] Extension installed.');
@@ -1,34 +1,73 @@
 'use strict';
 
 // ── State ────────────────────────────────────────────────────
-let isActive            = false;
-let startTime           = null;   // wall-clock time of the first keystroke
-let stopTime            = null;   // wall-clock time measurement was stopped
-let totalChars          = 0;      // printable characters typed (no backspaces)
-let backspaces          = 0;      // Backspace / Delete presses
-let pastedChars         = 0;      // Characters pasted — tracked separately, NOT counted toward WPM
-let peakWpm             = 0;
-
-// Active-time tracking — clock pauses after IDLE_THRESHOLD_MS of no input
-let accumulatedActiveMs = 0;   // ms from fully completed active bursts
-let burstStart          = null; // start of the current burst; null when idle
-let idleTimer           = null;
-
-const IDLE_THRESHOLD_MS = 2000;
-let broadcastTimer      = null;
-let overlay             = null;   // floating on-page stats widget
-let iframeObserver      = null;   // MutationObserver watching for newly-added iframes
+// The session itself lives in the service worker (background.js); this
+// script only classifies input on the page and forwards it there.  It runs
+// in every frame, and each frame reports its own input to the worker.
+const IS_TOP_FRAME = window === window.top;
+const FRAME_MARKER = 'data-tsm-frame';   // set on documents this script runs in
+
+let isActive       = false;  // true while listeners are attached
+let sessionActive  = false;  // a session is running in the worker
+let settings       = { ...DEFAULT_SETTINGS };
+let overlay        = null;   // floating on-page stats widget
+let iframeObserver = null;   // MutationObserver watching for newly-added iframes
+let pendingKey     = null;   // keydown waiting to see whether an input event follows
+
+// ── Page identity ────────────────────────────────────────────
+// Input is filed, and site rules applied, under the page the user is on
+// rather than the frame that happened to have focus.  Same-origin frames
+// (including about:blank editor frames) can read the top page's address;
+// cross-origin frames only learn its origin.
+function pageLocation() {
+  try {
+    const { hostname, pathname } = window.top.location;
+    return { hostname, pathname };
+  } catch (_) {
+    const origins = window.location.ancestorOrigins;
+    if (origins?.length) return { hostname: new URL(origins[origins.length - 1]).hostname, pathname: '' };
+    return window.location;
+  }
+}
+
+// An embedded frame from a denylisted site stays unmeasured on any page, and
+// incognito tabs are not measured unless the incognito policy allows it
+function isDenied() {
+  if (chrome.extension?.inIncognitoContext && settings.incognito !== 'unsaved') return true;
+  return isSiteDenied(settings, pageLocation().hostname) ||
+    isSiteDenied(settings, window.location.hostname);
+}
 
 // ── Context detection ────────────────────────────────────────
+// Elements of a bridged iframe belong to that frame's realm, so they are not
+// `instanceof Element` here; check the node type instead.
+function isElement(node) {
+  return node?.nodeType === Node.ELEMENT_NODE;
+}
+
+// Passwords, payment cards and one-time codes, by input type or the
+// autocomplete tokens the page declares.  A "show password" toggle turns a
+// password input into a text input but leaves its autocomplete token.
+const SENSITIVE_AUTOCOMPLETE = /^(cc-|one-time-code$|current-password$|new-password$)/;
+
+function isSensitiveField(target) {
+  if (target.tagName === 'INPUT' && (target.type || '').toLowerCase() === 'password') return true;
+  const tokens = (target.getAttribute('autocomplete') ?? '').toLowerCase().split(/\s+/);
+  return tokens.some(token => SENSITIVE_AUTOCOMPLETE.test(token));
+}
+
 function isTypingContext(target) {
-  if (!target || !(target instanceof Element)) return false;
+  if (!isElement(target)) return false;
+  if (!settings.measureSensitive && isSensitiveField(target)) return false;
 
   // Standard textarea (also catches Google Docs' hidden capture textarea)
   if (target.tagName === 'TEXTAREA') return true;
 
+  // Which <input> types count is configurable in the options page
   if (target.tagName === 'INPUT') {
     const type = (target.type || 'text').toLowerCase();
-    return ['text', 'password', 'email', 'search', 'url', 'tel', 'number'].includes(type);
+    if (type === 'password') return true;   // sensitive: only reached when measured
+    return settings.inputTypes.includes(type);
   }
 
   // Native contenteditable (Quill, ProseMirror, Trix, etc.)
@@ -46,14 +85,9 @@ function isTypingContext(target) {
 
 // Google Docs uses a canvas-rendered editor whose internal class names
 // change with product updates.  Rather than chasing class names, we key
-// off the hostname: if we're on docs.google.com (or slides / sheets) and
-// the user has focused anything other than the bare document body, they
-// are editing and we should count their keystrokes.
-function isGoogleDocsActive() {
-  const host = window.location.hostname;
-  if (!host.endsWith('google.com')) return false;
-  // Cover Docs, Sheets, Slides, and Drive-embedded editors
-  if (!/\/(document|spreadsheets|presentation|forms)\//.test(window.location.pathname)) return false;
+// off the focus: if the user has focused anything other than the bare
+// document body, they are editing and we should count their keystrokes.
+function isGoogleEditorFocused() {
   const active = document.activeElement;
   // body / documentElement means nothing specific is focused — skip.
   // An <iframe> element being active means the user is working inside that
@@ -61,6 +95,11 @@ function isGoogleDocsActive() {
   return !!(active && active !== document.body && active !== document.documentElement);
 }
 
+function isGoogleApp(app) {
+  const page = pageLocation();
+  return page.hostname === 'docs.google.com' && page.pathname.startsWith(`/${app}/`);
+}
+
 // Ignore any Ctrl+key or Cmd+key shortcut
 function isShortcut(e) {
   return e.ctrlKey || e.metaKey;
@@ -74,70 +113,302 @@ const IGNORED_KEYS = new Set([
   'F1','F2','F3','F4','F5','F6','F7','F8','F9','F10','F11','F12',
 ]);
 
-// ── Active-time helpers ──────────────────────────────────────
+// beforeinput types that insert text nobody typed → assisted-input source
+const ASSIST_INPUT_TYPES = {
+  insertFromDrop:        'drop',      // dragged in
+  insertReplacementText: 'replace',   // spellcheck, autocorrect, autocomplete
+  insertFromYank:        'yank',      // Ctrl+Y from the kill ring (macOS)
+};
+
+// ── Forwarding to the service worker ─────────────────────────
+// Only the kind of input and a timestamp leave this script — never the key,
+// unless the user has opted in to key analytics.
+function reportInput(kind, extra) {
+  try {
+    chrome.runtime.sendMessage({
+      type:   'input',
+      kind,
+      at:     Date.now(),
+      domain: pageLocation().hostname || 'unknown',
+      ...extra,
+    }).catch(() => {});
+  } catch (_) {
+    // The extension was reloaded and this page still runs the old script
+  }
+}
+
+// ── Editor adapters ──────────────────────────────────────────
+// Each adapter knows one family of editors:
+//   matches()         whether this page can host the editor; checked per
+//                     event because single-page apps change URL in place
+//   isTarget(el)      whether `el` is the editor's typing surface
+//   classifyKey(e)    optional; 'skip' for keys that are navigation or
+//                     commands in this editor rather than typing
+// Adapters are tried in registration order and the first one that claims
+// the target handles the event; the generic adapter goes last.
+const editorAdapters = [];
+
+function registerEditorAdapter(adapter) {
+  editorAdapters.push(adapter);
+}
+
+// Docs and Slides: everything typed while the editor has focus is text
+registerEditorAdapter({
+  name:     'google-docs',
+  matches:  () => isGoogleApp('document') || isGoogleApp('presentation'),
+  isTarget: () => isGoogleEditorFocused(),
+});
+
+// Sheets: with a cell merely selected, Enter, Tab and arrows move around
+// and Backspace/Delete clear cells.  Typing a character (or F2) starts entry,
+// and Enter, Tab or Escape ends it; arrows end entry only if it was started
+// by typing, as they move the caret in F2 edit mode.
+registerEditorAdapter({
+  name:     'google-sheets',
+  entry:    null,   // null | 'typed' | 'edit'
+  matches:  () => isGoogleApp('spreadsheets'),
+  isTarget: () => isGoogleEditorFocused(),
+  classifyKey(event) {
+    switch (event.key) {
+      case 'Enter':
+      case 'Tab':
+      case 'Escape':
+        this.entry = null;
+        return 'skip';
+      case 'F2':
+        this.entry = 'edit';
+        return 'skip';
+      case 'ArrowUp':
+      case 'ArrowDown':
+      case 'ArrowLeft':
+      case 'ArrowRight':
+        if (this.entry === 'typed') this.entry = null;
+        return 'skip';
+      case 'Backspace':
+      case 'Delete':
+        return this.entry ? 'count' : 'skip';
+    }
+    if (event.key.length === 1 && !isShortcut(event)) this.entry ??= 'typed';
+    return 'count';
+  },
+});
+
+// Monaco (VS Code for the web, github.dev, many playgrounds) types into a
+// hidden textarea, or into a plain focusable div when it uses the
+// EditContext API; neither is recognisable without knowing the editor.
+registerEditorAdapter({
+  name:     'monaco',
+  matches:  () => true,
+  isTarget: el => !!el.closest('.monaco-editor') &&
+    el.matches('textarea, .native-edit-context, [contenteditable="true"]'),
+});
+
+// CodeMirror 6 edits in `.cm-content`; CodeMirror 5 in a hidden textarea
+registerEditorAdapter({
+  name:     'codemirror',
+  matches:  () => true,
+  isTarget: el => !!el.closest('.cm-content') ||
+    (el.tagName === 'TEXTAREA' && !!el.closest('.CodeMirror')),
+});
+
+// Notion renders every block as its own contenteditable leaf
+registerEditorAdapter({
+  name:     'notion',
+  matches:  () => ['notion.so', 'notion.site'].some(p => matchesDomain(pageLocation().hostname, p)),
+  isTarget: el => !!el.closest('[data-content-editable-leaf], [contenteditable="true"]') ||
+    isTypingContext(el),
+});
+
+// Confluence Cloud edits pages in ProseMirror
+registerEditorAdapter({
+  name:     'confluence',
+  matches:  () => matchesDomain(pageLocation().hostname, 'atlassian.net') &&
+    pageLocation().pathname.startsWith('/wiki'),
+  isTarget: el => !!el.closest('.ProseMirror') || isTypingContext(el),
+});
+
+// Everything else: form fields, contenteditable and ARIA textboxes
+registerEditorAdapter({
+  name:     'generic',
+  matches:  () => true,
+  isTarget: isTypingContext,
+});
 
-// Called when the 2s idle timer fires
-function onIdle() {
-  if (burstStart !== null) {
-    accumulatedActiveMs += Date.now() - burstStart;
-    burstStart = null;
+// The innermost element an event came from.  Events from inside an open
+// shadow root are retargeted to its host, but composedPath() still starts
+// at the real element.
+function deepTarget(event) {
+  const first = event.composedPath?.()[0];
+  return isElement(first) ? first : event.target;
+}
+
+function deepActiveElement(doc) {
+  let active = doc.activeElement;
+  while (active?.shadowRoot?.activeElement) active = active.shadowRoot.activeElement;
+  return active;
+}
+
+// Finds the adapter responsible for an event, or null when the event is not
+// typing.  event.target is the element the browser dispatched to; in canvas
+// editors that is not the typing surface, so the focused element is tried
+// too.  Events from a bridged iframe that runs its own copy of this script
+// are left to that copy, so they are not counted twice.
+function resolveEditor(event) {
+  const doc = event.target?.ownerDocument ?? document;
+  if (doc !== document && doc.documentElement?.hasAttribute(FRAME_MARKER)) return null;
+  const candidates = [deepTarget(event), deepActiveElement(doc)].filter(isElement);
+  for (const adapter of editorAdapters) {
+    if (!adapter.matches()) continue;
+    if (candidates.some(el => adapter.isTarget(el))) return adapter;
   }
-  idleTimer = null;
+  return null;
 }
 
-function getActiveTimeMs() {
-  return burstStart !== null
-    ? accumulatedActiveMs + (Date.now() - burstStart)
-    : accumulatedActiveMs;
+// Characters are counted from the text an edit actually inserts, so IMEs,
+// dead keys and virtual keyboards count what they commit.  A printable
+// keydown is held back for one task: if the browser follows it with a
+// beforeinput, that event does the counting; editors that swallow the key
+// and insert text themselves never fire one, so the keydown counts instead.
+function deferKeyDown(kind, extra) {
+  flushKeyDown();
+  pendingKey = { kind, extra: { ...extra, at: Date.now() } };
+  pendingKey.timer = setTimeout(flushKeyDown, 0);
 }
 
-// Reset the 2s idle countdown on every relevant key event
-function resetIdleTimer() {
-  clearTimeout(idleTimer);
-  idleTimer = setTimeout(onIdle, IDLE_THRESHOLD_MS);
+function flushKeyDown() {
+  if (!pendingKey) return;
+  clearTimeout(pendingKey.timer);
+  if (pendingKey.kind !== 'skip') reportInput(pendingKey.kind, pendingKey.extra);
+  pendingKey = null;
+}
+
+// Takes over a held-back keydown of the given kind, keeping its timestamp
+// and details.  A keydown of another kind is left to its timer.
+function takeKeyDown(kind) {
+  if (pendingKey?.kind !== kind) return null;
+  const pending = pendingKey;
+  clearTimeout(pending.timer);
+  pendingKey = null;
+  return pending;
+}
+
+// Counts committed text.  Characters from scripts written without spaces
+// are sent separately because each one counts as a word (see metrics.js).
+function reportText(text, pending = null) {
+  const count = [...text].length;
+  if (count === 0) return;
+  const extra = { count, unspaced: countUnspacedChars(text) };
+  if (pending) extra.at = pending.extra.at;
+  if (count === 1 && pending?.extra.key) extra.key = pending.extra.key;
+  reportInput('char', extra);
+}
+
+// Text that was inserted rather than typed is reported by length and source
+// only and kept out of WPM (see ASSIST_SOURCES in shared/engine.js)
+function reportAssisted(text, source) {
+  const length = [...text].length;
+  if (length > 0) reportInput('assisted', { length, source });
 }
 
 // ── Keydown handler ──────────────────────────────────────────
 function handleKeyDown(event) {
   if (!isActive) return;
-  // Ignore auto-repeated events fired while a key is held down
-  if (event.repeat) return;
-  // event.target is the element the browser dispatched to.
-  // In Google Docs (and similar canvas-rendered editors) that is a div or
-  // canvas tile, NOT a standard input.  Fall back to document.activeElement,
-  // which in the main frame will be the <iframe> element when the editor
-  // iframe is focused — that still satisfies isGoogleDocsActive().
-  const typingTarget = isTypingContext(event.target)
-    ? event.target
-    : document.activeElement;
-  if (!isTypingContext(typingTarget) && !isGoogleDocsActive()) return;
+  const editor = resolveEditor(event);
+  if (!editor) return;
+  // Keys that drive an IME composition or a virtual keyboard (keyCode 229)
+  // are counted from the composition and input events instead
+  if (event.isComposing || event.keyCode === 229) return;
+
+  // The editor's own rules come first: it sees navigation keys too
+  if (editor.classifyKey?.(event) === 'skip') {
+    deferKeyDown('skip', {});
+    return;
+  }
   if (IGNORED_KEYS.has(event.key)) return;
 
   // Block all Ctrl/Cmd shortcuts (Ctrl+C, Ctrl+V, Cmd+Z, etc.)
   if (isShortcut(event)) return;
 
-  // Backspace / Delete: track separately, still reset the idle clock
+  // Backspace / Delete: tracked separately, still keeps the idle clock alive.
+  // Held-key repeats are forwarded too — each one removes another character,
+  // which matters for accuracy even though it is not a fresh keypress.
   if (event.key === 'Backspace' || event.key === 'Delete') {
-    backspaces++;
-    resetIdleTimer();
+    deferKeyDown('delete', { repeat: event.repeat });
+    return;
+  }
+
+  // Ignore auto-repeated events fired while a key is held down, and the
+  // text each repeat inserts
+  if (event.repeat) {
+    deferKeyDown('skip', {});
     return;
   }
 
-  // Printable character (single char) or Enter
-  if (event.key.length === 1 || event.key === 'Enter') {
-    if (!startTime) {
-      // First keystroke ever: start both the wall clock and the first burst
-      startTime  = Date.now();
-      burstStart = startTime;
-    } else if (burstStart === null) {
-      // Typing resumes after an idle gap
-      burstStart = Date.now();
+  // Printable character (single char), or Enter unless it is configured out.
+  // The key itself is only sent when key analytics are switched on, and the
+  // worker keeps nothing but per-key aggregates of it.
+  if (event.key.length === 1) {
+    deferKeyDown('char', settings.keyAnalytics ? { key: event.key.toLowerCase() } : {});
+  } else if (event.key === 'Enter' && settings.countEnter) {
+    deferKeyDown('char', {});
+  }
+}
+
+// ── Input and composition handlers ───────────────────────────
+function handleBeforeInput(event) {
+  if (!isActive) return;
+  if (!resolveEditor(event)) return;
+  // The edit of a key that was not counted: a held-key repeat, or a key
+  // the editor treats as navigation
+  if (takeKeyDown('skip')) return;
+
+  switch (event.inputType) {
+    case 'insertText':
+    case 'insertLineBreak':
+    case 'insertParagraph': {
+      // Inside a composition the text is still provisional
+      if (event.isComposing) return;
+      const text = event.inputType === 'insertText' ? event.data ?? ''
+        : settings.countEnter ? '\n' : '';
+      const pending = takeKeyDown('char');
+      // Several characters at once with no keystroke behind them come from a
+      // text expander, an inline suggestion or dictation.  A single one is a
+      // virtual keyboard, which sends no usable keydown.
+      if (!pending && [...text].length > 1) reportAssisted(text, 'insert');
+      else reportText(text, pending);
+      break;
     }
-    totalChars++;
-    resetIdleTimer();
+
+    // Clipboard pastes are counted by handlePaste, which also sees pastes
+    // into editors that never fire beforeinput
+    case 'insertFromDrop':
+    case 'insertReplacementText':
+    case 'insertFromYank':
+      reportAssisted(insertedText(event), ASSIST_INPUT_TYPES[event.inputType]);
+      break;
+
+    case 'deleteContentBackward':
+    case 'deleteContentForward':
+    case 'deleteWordBackward':
+    case 'deleteWordForward':
+      // Virtual keyboards send no Backspace keydown to take over
+      reportInput('delete', takeKeyDown('delete')?.extra);
+      break;
   }
 }
 
+// Form fields carry the inserted text in `data`, rich-text editors in
+// `dataTransfer`
+function insertedText(event) {
+  return event.data ?? event.dataTransfer?.getData('text/plain') ?? '';
+}
+
+function handleCompositionEnd(event) {
+  if (!isActive) return;
+  if (!resolveEditor(event)) return;
+  reportText(event.data ?? '');
+}
+
 // ── Paste handler ────────────────────────────────────────────
 // Paste is tracked separately and is intentionally excluded from WPM/CPM.
 // We listen in capture phase so we see it before the page processes it.
@@ -145,23 +416,38 @@ function handlePaste(event) {
   if (!isActive) return;
   // Use same target-resolution pattern as handleKeyDown so paste works
   // in iframes (e.g. Google Docs editor iframe) as well as the main frame.
-  const target = isTypingContext(event.target) ? event.target : document.activeElement;
-  if (!isTypingContext(target) && !isGoogleDocsActive()) return;
+  if (!resolveEditor(event)) return;
 
   const text = event.clipboardData?.getData('text') ?? '';
-  if (text.length > 0) {
-    pastedChars += text.length;
-    // A paste counts as activity — keep the idle clock alive
-    resetIdleTimer();
-  }
+  // Only the length is forwarded; a paste also keeps the idle clock alive
+  if (text.length > 0) reportInput('paste', { length: text.length });
+}
+
+// ── Listener wiring ──────────────────────────────────────────
+// Capture phase, so we see input before the page can stop it
+function addInputListeners(doc) {
+  doc.addEventListener('keydown',        handleKeyDown,        true);
+  doc.addEventListener('beforeinput',    handleBeforeInput,    true);
+  doc.addEventListener('compositionend', handleCompositionEnd, true);
+  doc.addEventListener('paste',          handlePaste,          true);
+}
+
+function removeInputListeners(doc) {
+  doc.removeEventListener('keydown',        handleKeyDown,        true);
+  doc.removeEventListener('beforeinput',    handleBeforeInput,    true);
+  doc.removeEventListener('compositionend', handleCompositionEnd, true);
+  doc.removeEventListener('paste',          handlePaste,          true);
 }
 
 // ── Iframe coverage ───────────────────────────────────────────
-// Google Docs (and some other editors) render their editing surface inside a
-// same-origin sandboxed iframe.  Chrome does NOT inject content scripts into
-// sandboxed iframes, so we bridge the gap by attaching our capture-phase
-// listeners directly to each iframe's contentDocument from the main frame.
-// This works because the sandbox includes allow-same-origin.
+// This script is injected into every frame (all_frames, match_about_blank),
+// which covers cross-origin embeds such as comment widgets and payment
+// fields.  Some same-origin frames still get no script of their own, e.g.
+// sandboxed editor frames (Google Docs) or frames whose document is written
+// after injection, so we also bridge the gap by attaching our capture-phase
+// listeners directly to each same-origin iframe's contentDocument.  A frame
+// that has its own copy marks its document with FRAME_MARKER, and
+// resolveEditor() then ignores the bridged events.
 
 function attachToIframe(iframeEl) {
   try {
@@ -169,8 +455,7 @@ function attachToIframe(iframeEl) {
     if (!doc) return;
     // addEventListener is idempotent for identical listener+options pairs,
     // so calling this more than once on the same iframe is safe.
-    doc.addEventListener('keydown', handleKeyDown, true);
-    doc.addEventListener('paste',   handlePaste,   true);
+    addInputListeners(doc);
   } catch (_) {
     // Cross-origin iframes will throw — silently skip them.
   }
@@ -180,8 +465,7 @@ function detachFromIframe(iframeEl) {
   try {
     const doc = iframeEl.contentDocument;
     if (!doc) return;
-    doc.removeEventListener('keydown', handleKeyDown, true);
-    doc.removeEventListener('paste',   handlePaste,   true);
+    removeInputListeners(doc);
   } catch (_) {}
 }
 
@@ -223,69 +507,57 @@ function stopIframeWatcher() {
   document.querySelectorAll('iframe').forEach(detachFromIframe);
 }
 
-// ── Stats snapshot ───────────────────────────────────────────
-function getStats() {
-  const activeMs   = getActiveTimeMs();
-  const activeMins = activeMs / 60_000;
-
-  // WPM  = (chars / 5) / active-minutes  (standard gross WPM)
-  // CPM  = chars / active-minutes
-  const wpm = activeMins > 0 ? Math.round((totalChars / 5) / activeMins) : 0;
-  const cpm = activeMins > 0 ? Math.round(totalChars / activeMins)       : 0;
-
-  if (wpm > peakWpm) peakWpm = wpm;
-
-  // Wall-clock elapsed (for the footer "Elapsed" display)
-  let wallElapsed = 0;
-  if (startTime) {
-    const end = isActive ? Date.now() : (stopTime ?? Date.now());
-    wallElapsed = Math.floor((end - startTime) / 1000);
-  }
+// ── Floating on-page overlay ──────────────────────────────────
+// The Chrome popup closes the instant you click on the page, so we inject a
+// small draggable widget directly into the page so the user can see live
+// WPM / CPM while they type without needing the popup open.  Where it sits
+// and how it is shown (compact, expanded or minimized to a pill) is
+// remembered per site in chrome.storage.local.
+const OVERLAY_PREFS_KEY = 'overlayPrefs';   // hostname → { left, top, expanded, minimized }
+const PRIVATE_PREFS_KEY = '*private';       // the entry every private site shares
+const OVERLAY_EDGE      = 8;                // px kept between the widget and the viewport edge
+const OVERLAY_NUDGE     = 10;               // px per arrow key on the move handle (×5 with Shift)
+const SPARK_POINTS      = 40;               // samples in the expanded sparkline
+const SPARK_INTERVAL_MS = 1000;
+
+let overlayPrefs  = { left: null, top: null, expanded: false, minimized: false };
+let overlayAbort  = null;   // aborts every listener the overlay added outside its shadow root
+let overlayStats  = null;   // last stats shown, to fill a re-created overlay
+let sparkSamples  = [];
+let lastSparkAt   = 0;
+
+// The entry this page's preferences are kept under.  Storing them must not
+// leave a private site's name behind, so private sites share one entry, and
+// incognito pages keep theirs only while the page is open (null).
+function overlayPrefsKey() {
+  if (chrome.extension?.inIncognitoContext) return null;
+  const host = pageLocation().hostname;
+  return host && isSitePrivate(settings, host) ? PRIVATE_PREFS_KEY : host || 'local';
+}
 
-  return {
-    isActive,
-    wpm,
-    cpm,
-    totalChars,
-    backspaces,
-    pastedChars,
-    elapsedTime: wallElapsed,               // wall clock seconds (for "Elapsed" chip)
-    activeTime:  Math.floor(activeMs / 1000), // net active seconds (for session storage)
-    peakWpm,
-    hasData: startTime !== null,
-  };
-}
-
-// ── Session persistence ───────────────────────────────────────
-async function saveSession(stats) {
-  if (stats.totalChars === 0) return; // nothing typed — skip
-
-  const session = {
-    id:         Date.now(),
-    timestamp:  new Date().toISOString(),
-    domain:     window.location.hostname || 'unknown',
-    duration:   stats.activeTime,   // active typing seconds
-    avgWPM:     stats.wpm,
-    avgCPM:     stats.cpm,
-    totalChars:  stats.totalChars,
-    backspaces:  stats.backspaces,
-    pastedChars: stats.pastedChars,
-  };
+async function loadOverlayPrefs() {
+  const key = overlayPrefsKey();
+  if (!key) return;
+  const { [OVERLAY_PREFS_KEY]: saved } = await chrome.storage.local.get(OVERLAY_PREFS_KEY);
+  overlayPrefs = { ...overlayPrefs, ...saved?.[key] };
+}
 
-  try {
-    const { sessions = [] } = await chrome.storage.local.get('sessions');
-    sessions.unshift(session);
-    if (sessions.length > 10) sessions.length = 10;
-    await chrome.storage.local.set({ sessions });
-  } catch (err) {
-    console.error('[Typing Speed Meter] Failed to save session:', err);
-  }
+async function saveOverlayPrefs() {
+  const key = overlayPrefsKey();
+  if (!key) return;
+  const { [OVERLAY_PREFS_KEY]: saved = {} } = await chrome.storage.local.get(OVERLAY_PREFS_KEY);
+  saved[key] = overlayPrefs;
+  // Drop what was kept for this site before it was made private
+  if (key === PRIVATE_PREFS_KEY) delete saved[pageLocation().hostname];
+  await chrome.storage.local.set({ [OVERLAY_PREFS_KEY]: saved });
 }
 
-// ── Floating on-page overlay ──────────────────────────────────
-// The Chrome popup closes the instant you click on the page, so we inject a
-// small draggable widget directly into the page so the user can see live
-// WPM / CPM while they type without needing the popup open.
+function formatClock(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor(seconds / 60) % 60;
+  const s = String(seconds % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
 
 function createOverlay() {
   if (overlay || document.getElementById('__tsm__')) return;
@@ -301,26 +573,34 @@ function createOverlay() {
   const shadow = overlay.attachShadow({ mode: 'open' });
   shadow.innerHTML = `
     <style>
-      .box {
+      :host { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', system-ui, sans-serif; }
+      [hidden] { display: none !important; }
+      .box, .pill {
         background: rgba(15,14,23,0.93);
         backdrop-filter: blur(12px);
         -webkit-backdrop-filter: blur(12px);
         border: 1px solid rgba(124,58,237,0.4);
-        border-radius: 14px;
-        padding: 12px 16px 10px;
         color: #fffffe;
         box-shadow: 0 8px 32px rgba(0,0,0,0.5);
-        cursor: move;
-        min-width: 130px;
-        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', system-ui, sans-serif;
+      }
+      .box {
+        border-radius: 14px;
+        padding: 10px 14px 10px;
+        min-width: 150px;
       }
       .head {
-        display: flex; align-items: center;
-        justify-content: space-between; margin-bottom: 9px;
+        display: flex; align-items: center; gap: 6px;
+        margin-bottom: 9px; cursor: move; touch-action: none;
       }
-      .title {
+      button {
+        all: unset; box-sizing: border-box; cursor: pointer;
+        color: #5c5b72; line-height: 1;
+      }
+      button:focus-visible { outline: 2px solid #a78bfa; outline-offset: 2px; border-radius: 4px; }
+      .grip {
+        flex: 1; cursor: move;
         font-size: 9px; font-weight: 700; letter-spacing: 1px;
-        text-transform: uppercase; color: #5c5b72;
+        text-transform: uppercase;
         display: flex; align-items: center; gap: 5px;
       }
       .dot {
@@ -328,15 +608,21 @@ function createOverlay() {
         background: #10b981; flex-shrink: 0;
         animation: p 1.6s ease-in-out infinite;
       }
+      .paused .dot { background: #f59e0b; animation: none; }
       @keyframes p {
         0%,100% { box-shadow: 0 0 0 0   rgba(16,185,129,.6); }
         50%      { box-shadow: 0 0 0 4px rgba(16,185,129,0);  }
       }
-      button {
-        all: unset; color: #3d3c52; cursor: pointer;
-        font-size: 18px; line-height: 1; padding: 0 0 0 8px;
+      .controls { display: flex; align-items: center; gap: 2px; }
+      .controls button {
+        width: 20px; height: 20px; border-radius: 5px;
+        display: flex; align-items: center; justify-content: center;
+        font-size: 11px;
       }
-      button:hover { color: #f87171; }
+      .controls button:hover { color: #c4c2e0; background: rgba(255,255,255,.06); }
+      .controls #ov-stop:hover,
+      .controls #ov-min:hover { color: #f87171; }
+      .paused #ov-pause { color: #f59e0b; }
       .metrics { display: flex; align-items: center; gap: 12px; }
       .metric  { text-align: center; flex: 1; }
       .val {
@@ -350,124 +636,289 @@ function createOverlay() {
         text-transform: uppercase; color: #3d3c52; margin-top: 3px;
       }
       .sep { width: 1px; height: 30px; background: rgba(255,255,255,.07); flex-shrink: 0; }
+      .quality {
+        display: flex; justify-content: space-between; gap: 10px;
+        margin-top: 8px; padding-top: 7px;
+        border-top: 1px solid rgba(255,255,255,.06);
+        font-size: 9px; font-weight: 700; letter-spacing: .6px;
+        text-transform: uppercase; color: #3d3c52;
+      }
+      .quality b { color: #34d399; font-variant-numeric: tabular-nums; }
+      .more { margin-top: 6px; }
+      .spark { display: block; width: 100%; height: 26px; margin-top: 6px; }
+      .spark polyline {
+        fill: none; stroke: #a78bfa; stroke-width: 1.5;
+        stroke-linejoin: round; vector-effect: non-scaling-stroke;
+      }
+      .pill {
+        border-radius: 999px; padding: 6px 11px;
+        display: flex; align-items: center; gap: 6px;
+        font-size: 11px; font-weight: 700; color: #c4c2e0;
+        font-variant-numeric: tabular-nums;
+      }
+      .pill b { color: #a78bfa; }
     </style>
-    <div class="box">
-      <div class="head">
-        <span class="title"><span class="dot"></span>Typing Speed</span>
-        <button id="cls">&#215;</button>
+    <div class="box" id="ov-box" role="region" aria-label="Typing speed">
+      <div class="head" id="ov-head">
+        <button class="grip" id="ov-grip" title="Drag, or use the arrow keys, to move"
+                aria-label="Move overlay with the arrow keys"><span class="dot"></span><span id="ov-status">Typing Speed</span></button>
+        <div class="controls">
+          <button id="ov-pause" aria-label="Pause measuring" title="Pause">&#10074;&#10074;</button>
+          <button id="ov-stop"  aria-label="Stop session" title="Stop">&#9632;</button>
+          <button id="ov-mode"  aria-label="Show more stats" aria-expanded="false" aria-controls="ov-more" title="More">&#9662;</button>
+          <button id="ov-min"   aria-label="Minimize overlay" title="Minimize (Esc)">&#8211;</button>
+        </div>
       </div>
       <div class="metrics">
         <div class="metric"><div class="val w" id="ov-w">0</div><div class="lbl">WPM</div></div>
         <div class="sep"></div>
         <div class="metric"><div class="val c" id="ov-c">0</div><div class="lbl">CPM</div></div>
       </div>
-    </div>`;
+      <div class="quality">
+        <span>Net <b id="ov-n">0</b></span>
+        <span>Acc <b id="ov-a">&#8212;</b></span>
+      </div>
+      <div class="more" id="ov-more">
+        <div class="quality">
+          <span>Peak <b id="ov-p">0</b></span>
+          <span>Time <b id="ov-t">0:00</b></span>
+        </div>
+        <svg class="spark" viewBox="0 0 100 24" preserveAspectRatio="none" aria-hidden="true">
+          <polyline id="ov-spark" points=""></polyline>
+        </svg>
+      </div>
+    </div>
+    <button class="pill" id="ov-pill" aria-label="Show typing speed overlay" title="Show overlay">
+      <span class="dot"></span><b id="ov-pw">0</b> WPM
+    </button>`;
 
   document.body.appendChild(overlay);
+  overlayAbort = new AbortController();
+  const { signal } = overlayAbort;
+  const $ = id => shadow.getElementById(id);
 
-  // Close button
-  shadow.getElementById('cls').addEventListener('click', removeOverlay);
+  $('ov-pause').addEventListener('click', () => {
+    const action = overlayStats?.isPaused ? 'resume' : 'pause';
+    chrome.runtime.sendMessage({ action }).then(updateOverlay, () => {});
+  });
+  $('ov-stop').addEventListener('click', () => {
+    chrome.runtime.sendMessage({ action: 'stop' }).catch(() => {});
+  });
+  $('ov-mode').addEventListener('click', () => {
+    overlayPrefs.expanded = !overlayPrefs.expanded;
+    applyOverlayPrefs();
+    saveOverlayPrefs();
+  });
+  $('ov-min').addEventListener('click', () => setOverlayMinimized(true));
+  $('ov-pill').addEventListener('click', () => setOverlayMinimized(false));
+  $('ov-box').addEventListener('keydown', e => {
+    if (e.key !== 'Escape') return;
+    e.stopPropagation();
+    setOverlayMinimized(true);
+  });
 
-  // Drag to reposition
-  let drag = false, ox = 0, oy = 0;
-  shadow.querySelector('.box').addEventListener('mousedown', e => {
-    if (e.target.id === 'cls') return;
-    drag = true;
-    const r = overlay.getBoundingClientRect();
-    ox = e.clientX - r.left;
-    oy = e.clientY - r.top;
-    overlay.style.bottom = 'auto';
-    overlay.style.right  = 'auto';
-    overlay.style.left   = r.left + 'px';
-    overlay.style.top    = r.top  + 'px';
+  // Arrow keys on the move handle nudge the widget
+  $('ov-grip').addEventListener('keydown', e => {
+    const step = e.shiftKey ? OVERLAY_NUDGE * 5 : OVERLAY_NUDGE;
+    const move = { ArrowLeft: [-step, 0], ArrowRight: [step, 0], ArrowUp: [0, -step], ArrowDown: [0, step] }[e.key];
+    if (!move) return;
     e.preventDefault();
+    e.stopPropagation();
+    const r = overlay.getBoundingClientRect();
+    placeOverlay(r.left + move[0], r.top + move[1]);
+    saveOverlayPrefs();
   });
-  document.addEventListener('mousemove', e => {
-    if (!drag) return;
-    overlay.style.left = (e.clientX - ox) + 'px';
-    overlay.style.top  = (e.clientY - oy) + 'px';
+
+  // Drag to reposition.  Pointer capture keeps the moves coming to the
+  // handle itself, so nothing is attached to the page's document.
+  const head = $('ov-head');
+  head.addEventListener('pointerdown', e => {
+    if (e.button !== 0 || e.target.closest('.controls')) return;
+    const r  = overlay.getBoundingClientRect();
+    const ox = e.clientX - r.left;
+    const oy = e.clientY - r.top;
+    const onMove = ev => placeOverlay(ev.clientX - ox, ev.clientY - oy);
+    const onEnd  = () => {
+      head.removeEventListener('pointermove', onMove);
+      head.removeEventListener('pointerup', onEnd);
+      head.removeEventListener('pointercancel', onEnd);
+      saveOverlayPrefs();
+    };
+    head.setPointerCapture(e.pointerId);
+    head.addEventListener('pointermove', onMove);
+    head.addEventListener('pointerup', onEnd);
+    head.addEventListener('pointercancel', onEnd);
+    e.preventDefault();
   });
-  document.addEventListener('mouseup', () => { drag = false; });
+
+  // Keep a saved position on screen when the window shrinks
+  window.addEventListener('resize', () => {
+    if (overlayPrefs.left !== null) placeOverlay(overlayPrefs.left, overlayPrefs.top);
+  }, { signal });
+
+  applyOverlayPrefs();
+  if (overlayStats) updateOverlay(overlayStats);
+}
+
+// Moves the widget, clamped inside the viewport, and records the position
+function placeOverlay(left, top) {
+  if (!overlay) return;
+  const r = overlay.getBoundingClientRect();
+  const maxLeft = Math.max(OVERLAY_EDGE, window.innerWidth  - r.width  - OVERLAY_EDGE);
+  const maxTop  = Math.max(OVERLAY_EDGE, window.innerHeight - r.height - OVERLAY_EDGE);
+  overlayPrefs.left = Math.round(Math.min(Math.max(left, OVERLAY_EDGE), maxLeft));
+  overlayPrefs.top  = Math.round(Math.min(Math.max(top,  OVERLAY_EDGE), maxTop));
+  overlay.style.bottom = 'auto';
+  overlay.style.right  = 'auto';
+  overlay.style.left   = overlayPrefs.left + 'px';
+  overlay.style.top    = overlayPrefs.top  + 'px';
+}
+
+function applyOverlayPrefs() {
+  if (!overlay) return;
+  const s = overlay.shadowRoot;
+  s.getElementById('ov-box').hidden  = overlayPrefs.minimized;
+  s.getElementById('ov-pill').hidden = !overlayPrefs.minimized;
+  s.getElementById('ov-more').hidden = !overlayPrefs.expanded;
+  const mode = s.getElementById('ov-mode');
+  mode.setAttribute('aria-expanded', String(overlayPrefs.expanded));
+  mode.setAttribute('aria-label', overlayPrefs.expanded ? 'Show fewer stats' : 'Show more stats');
+  mode.textContent = overlayPrefs.expanded ? '\u25B4' : '\u25BE';
+  // Re-clamp: the new size may push a saved position off screen
+  if (overlayPrefs.left !== null) placeOverlay(overlayPrefs.left, overlayPrefs.top);
+}
+
+function setOverlayMinimized(minimized) {
+  overlayPrefs.minimized = minimized;
+  applyOverlayPrefs();
+  saveOverlayPrefs();
+  // Keep keyboard focus on the widget as it changes shape
+  overlay?.shadowRoot.getElementById(minimized ? 'ov-pill' : 'ov-grip').focus();
+}
+
+function recordSpark(stats) {
+  const now = Date.now();
+  if (!stats.hasData || stats.isPaused || now - lastSparkAt < SPARK_INTERVAL_MS) return;
+  lastSparkAt = now;
+  sparkSamples.push(stats.wpm);
+  if (sparkSamples.length > SPARK_POINTS) sparkSamples.shift();
+}
+
+function sparkPoints() {
+  if (sparkSamples.length < 2) return '';
+  const max  = Math.max(...sparkSamples, 1);
+  const step = 100 / (SPARK_POINTS - 1);
+  const x0   = 100 - (sparkSamples.length - 1) * step;   // newest sample on the right edge
+  return sparkSamples
+    .map((wpm, i) => `${(x0 + i * step).toFixed(1)},${(23 - (wpm / max) * 22).toFixed(1)}`)
+    .join(' ');
 }
 
 function updateOverlay(stats) {
+  if (!stats) return;
+  overlayStats = stats;
+  recordSpark(stats);
   if (!overlay) return;
   const s = overlay.shadowRoot;
   if (!s) return;
-  s.getElementById('ov-w').textContent = stats.hasData ? stats.wpm : '0';
-  s.getElementById('ov-c').textContent = stats.hasData ? stats.cpm : '0';
+  s.getElementById('ov-w').textContent  = stats.hasData ? stats.wpm : '0';
+  s.getElementById('ov-c').textContent  = stats.hasData ? stats.cpm : '0';
+  s.getElementById('ov-n').textContent  = stats.hasData ? stats.netWpm : '0';
+  s.getElementById('ov-a').textContent  = stats.hasData ? `${stats.accuracy}%` : '—';
+  s.getElementById('ov-p').textContent  = stats.hasData ? stats.peakWpm : '0';
+  s.getElementById('ov-t').textContent  = formatClock(stats.elapsedTime ?? 0);
+  s.getElementById('ov-pw').textContent = stats.hasData ? stats.wpm : '0';
+  s.getElementById('ov-spark').setAttribute('points', sparkPoints());
+
+  const paused = !!stats.isPaused;
+  s.getElementById('ov-box').classList.toggle('paused', paused);
+  s.getElementById('ov-pill').classList.toggle('paused', paused);
+  s.getElementById('ov-status').textContent = paused ? 'Paused' : 'Typing Speed';
+  const pause = s.getElementById('ov-pause');
+  pause.textContent = paused ? '\u25B6' : '\u275A\u275A';
+  pause.title     = paused ? 'Resume' : 'Pause';
+  pause.setAttribute('aria-label', paused ? 'Resume measuring' : 'Pause measuring');
 }
 
 function removeOverlay() {
-  if (overlay) { overlay.remove(); overlay = null; }
+  if (!overlay) return;
+  overlayAbort.abort();
+  overlayAbort = null;
+  overlay.remove();
+  overlay = null;
 }
 
-// ── Push live stats to popup ─────────────────────────────────
-function broadcastStats() {
-  const stats = getStats();
-  updateOverlay(stats);   // keep the on-page widget in sync
-  // sendMessage rejects silently when the popup is closed
-  chrome.runtime.sendMessage({ type: 'statsUpdate', ...stats }).catch(() => {});
+// ── Session state from the service worker ────────────────────
+function startListening() {
+  if (isActive) return;
+  isActive = true;
+  addInputListeners(document);
+  startIframeWatcher();
 }
 
-// ── Message listener (commands from popup) ───────────────────
-chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
-  switch (message.action) {
+function stopListening() {
+  if (!isActive) return;
+  isActive = false;
+  flushKeyDown();
+  removeInputListeners(document);
+  stopIframeWatcher();
+}
 
-    case 'start':
-      isActive            = true;
-      startTime           = null;
-      stopTime            = null;
-      totalChars          = 0;
-      backspaces          = 0;
-      pastedChars         = 0;
-      peakWpm             = 0;
-      accumulatedActiveMs = 0;
-      burstStart          = null;
-      clearTimeout(idleTimer);
-      idleTimer           = null;
+// Listen while a session runs, or all the time where auto-tracking applies
+// so the first keystroke can start one.  Denylisted sites are never measured.
+function updateListening() {
+  const host   = pageLocation().hostname;
+  const denied = isDenied();
 
-      document.addEventListener('keydown', handleKeyDown, true);
-      document.addEventListener('paste',   handlePaste,   true);
-      startIframeWatcher();
+  if (!denied && (sessionActive || autoTrackApplies(settings, host))) startListening();
+  else stopListening();
 
-      createOverlay();
+  // One overlay per tab, in the top frame
+  if (IS_TOP_FRAME && sessionActive && !denied) createOverlay();
+  else removeOverlay();
+}
 
-      clearInterval(broadcastTimer);
-      broadcastTimer = setInterval(broadcastStats, 250);
+// The overlay shortcut: minimize it to its pill, or bring it back
+function toggleOverlay() {
+  if (overlay) setOverlayMinimized(!overlayPrefs.minimized);
+}
 
-      sendResponse({ success: true, ...getStats() });
+chrome.runtime.onMessage.addListener((message) => {
+  switch (message.type) {
+    case 'sessionState':
+      // A new session starts a new sparkline
+      if (message.isActive && !sessionActive) sparkSamples = [];
+      sessionActive = message.isActive;
+      updateListening();
       break;
 
-    case 'stop': {
-      isActive = false;
-      stopTime = startTime ? Date.now() : null;
-
-      // Finalize the active-time accumulator
-      clearTimeout(idleTimer);
-      idleTimer = null;
-      if (burstStart !== null) {
-        accumulatedActiveMs += Date.now() - burstStart;
-        burstStart = null;
-      }
-
-      clearInterval(broadcastTimer);
-      broadcastTimer = null;
-      document.removeEventListener('keydown', handleKeyDown, true);
-      document.removeEventListener('paste',   handlePaste,   true);
-      stopIframeWatcher();
-      removeOverlay();
-
-      const finalStats = getStats();
-      saveSession(finalStats); // async fire-and-forget
-      sendResponse(finalStats);
+    case 'statsUpdate':
+      updateOverlay(message);
       break;
-    }
 
-    case 'getStats':
-      sendResponse(getStats());
+    case 'toggleOverlay':
+      toggleOverlay();
       break;
   }
+});
+
+watchSettings(updated => {
+  settings = updated;
+  updateListening();
+});
 
-  return true; // keep message channel open for async sendResponse
+document.documentElement?.setAttribute(FRAME_MARKER, '');
+
+// A session may already be running — this page may have just been reloaded
+// or navigated to mid-session, or opened in a new tab.  Join it if so.
+Promise.all([
+  loadSettings(),
+  chrome.runtime.sendMessage({ action: 'getStats' }).catch(() => null),
+]).then(async ([loaded, stats]) => {
+  settings      = loaded;
+  // Where overlay preferences are kept depends on the private sites list
+  if (IS_TOP_FRAME) await loadOverlayPrefs().catch(() => {});
+  sessionActive = !!stats?.isActive;
+  updateListening();
+  if (sessionActive) updateOverlay(stats);
 });
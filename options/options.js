@@ -0,0 +1,200 @@
+'use strict';
+
+// Options page.  Every form control is named after the setting it edits and
+// declares how its value is read with `data-type`; the page saves on every
+// change, so there is no Save button.
+
+const form        = document.getElementById('settingsForm');
+const saveStatus  = document.getElementById('saveStatus');
+const profileList = document.getElementById('profileList');
+const newProfile  = document.getElementById('newProfile');
+
+let statusTimer = null;
+
+// ── Reading and filling the form ─────────────────────────────
+function parseList(text) {
+  return [...new Set(text.split(/[\s,]+/).map(s => s.trim().toLowerCase()).filter(Boolean))];
+}
+
+// "Name = domain, domain" per line.  Lines without a name or a domain are
+// dropped; a repeated name adds to the earlier group.
+function parseGroups(text) {
+  const groups = [];
+  for (const line of text.split('\n')) {
+    const at = line.indexOf('=');
+    if (at < 0) continue;
+    const name    = line.slice(0, at).trim();
+    const domains = parseList(line.slice(at + 1));
+    if (!name || domains.length === 0) continue;
+    const existing = groups.find(g => g.name === name);
+    if (existing) existing.domains = [...new Set([...existing.domains, ...domains])];
+    else groups.push({ name, domains });
+  }
+  return groups;
+}
+
+function formatGroups(groups) {
+  return groups.map(g => `${g.name} = ${g.domains.join(', ')}`).join('\n');
+}
+
+// An http(s) address, or '' to clear it; anything else is not saved
+function parseUrl(text) {
+  const value = text.trim();
+  if (!value) return '';
+  try {
+    return /^https?:$/.test(new URL(value).protocol) ? value : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+// `data-scale` converts between the unit shown and the unit stored, e.g.
+// seconds on screen for a setting kept in milliseconds.
+function readField(el) {
+  switch (el.dataset.type) {
+    case 'list':   return parseList(el.value);
+    case 'groups': return parseGroups(el.value);
+    case 'url':    return parseUrl(el.value);
+    case 'multi':  return [...form.elements[el.name]].filter(box => box.checked).map(box => box.value);
+    case 'number': {
+      const n = Number(el.value);
+      if (el.value === '' || !Number.isFinite(n)) return undefined;
+      const clamped = Math.min(Number(el.max || Infinity), Math.max(Number(el.min || -Infinity), n));
+      return clamped * Number(el.dataset.scale || 1);
+    }
+  }
+  if (el.type === 'checkbox') return el.checked;
+  // A cleared time field is not a time; keep the saved one
+  if (el.type === 'time' && !el.value) return undefined;
+  return el.value;
+}
+
+function fillForm(settings) {
+  for (const el of form.elements) {
+    if (!el.name || !(el.name in settings)) continue;
+    const value = settings[el.name];
+    if (el.dataset.type === 'multi')         el.checked = value.includes(el.value);
+    else if (el.type === 'radio')            el.checked = el.value === value;
+    else if (el.type === 'checkbox')         el.checked = !!value;
+    else if (el.dataset.type === 'list')     el.value   = value.join('\n');
+    else if (el.dataset.type === 'groups')   el.value   = formatGroups(value);
+    else if (el.dataset.type === 'number')   el.value   = value / Number(el.dataset.scale || 1);
+    else                                     el.value   = value;
+  }
+}
+
+// ── Saving ───────────────────────────────────────────────────
+function showStatus(text, isError = false) {
+  saveStatus.textContent = text;
+  saveStatus.classList.toggle('error', isError);
+  saveStatus.classList.add('visible');
+  clearTimeout(statusTimer);
+  statusTimer = setTimeout(() => saveStatus.classList.remove('visible'), 1600);
+}
+
+async function saveField(el) {
+  if (el.type === 'radio' && !el.checked) return;
+  const value = readField(el);
+  if (value === undefined) {
+    if (el.dataset.type === 'url') showStatus('Enter an http:// or https:// address', true);
+    return;
+  }
+  try {
+    await saveSettings({ [el.name]: value });
+    showStatus('Saved');
+  } catch (err) {
+    showStatus(`Could not save: ${err.message}`, true);
+  }
+}
+
+// Text fields save when they lose focus, everything else as soon as it
+// changes.  watchSettings() then refills the form with the tidied value.
+form.addEventListener('change', (e) => {
+  if (e.target.name) saveField(e.target);
+});
+
+// Profiles are kept, without their own settings
+document.getElementById('resetDefaults').addEventListener('click', async () => {
+  try {
+    const { profiles } = await loadSettings();
+    await chrome.storage.sync.set({ [SETTINGS_KEY]: {
+      ...DEFAULT_SETTINGS,
+      profiles: profiles.map(({ id, name }) => ({ id, name })),
+    } });
+    showStatus('Defaults restored');
+  } catch (err) {
+    showStatus(`Could not save: ${err.message}`, true);
+  }
+});
+
+// ── Profiles ─────────────────────────────────────────────────
+// The controls carry no `name`, so the form's change handler leaves them to
+// the handlers here.  Settings marked "profile" on the page are saved to the
+// active profile by saveSettings().
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function renderProfiles(settings) {
+  profileList.innerHTML = settings.profiles.map(p => `
+    <li class="profile-row" data-id="${escapeHtml(p.id)}">
+      <input type="text" value="${escapeHtml(p.name)}" maxlength="30" aria-label="Profile name" />
+      ${p.id === settings.profile
+        ? '<span class="profile-active">Active</span>'
+        : '<button type="button" class="btn-small" data-use>Use</button>'}
+      ${p.id === DEFAULT_PROFILE_ID ? '<span class="profile-active"></span>'
+        : '<button type="button" class="btn-small danger" data-remove>Remove</button>'}
+    </li>`).join('');
+}
+
+async function updateProfiles(change, status) {
+  try {
+    await change();
+    showStatus(status);
+  } catch (err) {
+    showStatus(`Could not save: ${err.message}`, true);
+  }
+}
+
+profileList.addEventListener('change', (e) => {
+  const id   = e.target.closest('.profile-row')?.dataset.id;
+  const name = e.target.value.trim();
+  if (!id) return;
+  // An emptied name is put back
+  if (!name) loadSettings().then(renderProfiles);
+  else updateProfiles(() => renameProfile(id, name), 'Saved');
+});
+
+profileList.addEventListener('click', (e) => {
+  const id = e.target.closest('.profile-row')?.dataset.id;
+  if (!id) return;
+  if (e.target.matches('[data-use]')) updateProfiles(() => setActiveProfile(id), 'Profile switched');
+  if (e.target.matches('[data-remove]')) updateProfiles(() => removeProfile(id), 'Profile removed');
+});
+
+document.getElementById('addProfile').addEventListener('click', () => {
+  const name = newProfile.value.trim();
+  if (!name) return;
+  newProfile.value = '';
+  updateProfiles(() => addProfile(name), 'Profile added');
+});
+
+// Enter in the name field adds the profile rather than submitting the form
+newProfile.addEventListener('keydown', (e) => {
+  if (e.key !== 'Enter') return;
+  e.preventDefault();
+  document.getElementById('addProfile').click();
+});
+
+// ── Init ─────────────────────────────────────────────────────
+function render(settings) {
+  fillForm(settings);
+  renderProfiles(settings);
+}
+
+loadSettings().then(render);
+watchSettings(render);
@@ -0,0 +1,74 @@
+'use strict';
+
+// Dependency-free SVG line charts for the Progress tab.  Every chart is drawn
+// into a fixed 300×120 viewBox and scales with its container.
+
+const SVG_NS    = 'http://www.w3.org/2000/svg';
+const CHART_W   = 300;
+const CHART_H   = 120;
+const CHART_PAD = { top: 10, right: 10, bottom: 18, left: 28 };
+
+function svgEl(tag, attrs = {}, text) {
+  const el = document.createElementNS(SVG_NS, tag);
+  for (const [name, value] of Object.entries(attrs)) el.setAttribute(name, value);
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+// Round a y-axis maximum up to a tidy value: 10, 20, 50, 100, 150, …
+function niceMax(value) {
+  if (value <= 10) return 10;
+  const step = value <= 50 ? 10 : value <= 200 ? 25 : 50;
+  return Math.ceil(value / step) * step;
+}
+
+// `points` is [{ x, y, title? }] with ascending x.  `formatX` labels the
+// first and last x values along the bottom axis.
+function renderLineChart(svg, points, { color = '#a78bfa', formatX = String, emptyText = 'No data yet' } = {}) {
+  svg.replaceChildren();
+  svg.setAttribute('viewBox', `0 0 ${CHART_W} ${CHART_H}`);
+
+  if (points.length === 0) {
+    svg.appendChild(svgEl('text', { x: CHART_W / 2, y: CHART_H / 2, class: 'chart-empty' }, emptyText));
+    return;
+  }
+
+  const xs   = points.map(p => p.x);
+  let   xMin = Math.min(...xs);
+  let   xMax = Math.max(...xs);
+  if (xMin === xMax) { xMin -= 1; xMax += 1; }
+  const yMax = niceMax(Math.max(...points.map(p => p.y)) * 1.1);
+
+  const left   = CHART_PAD.left;
+  const right  = CHART_W - CHART_PAD.right;
+  const top    = CHART_PAD.top;
+  const bottom = CHART_H - CHART_PAD.bottom;
+  const sx = x => left   + ((x - xMin) / (xMax - xMin)) * (right - left);
+  const sy = y => bottom - (y / yMax) * (bottom - top);
+
+  // Horizontal grid with y labels at 0, half and max
+  for (const v of [0, yMax / 2, yMax]) {
+    svg.appendChild(svgEl('line', { x1: left, x2: right, y1: sy(v), y2: sy(v), class: 'chart-grid' }));
+    svg.appendChild(svgEl('text', { x: left - 5, y: sy(v) + 3, class: 'chart-axis chart-axis-y' }, Math.round(v)));
+  }
+
+  svg.appendChild(svgEl('text', { x: left,  y: CHART_H - 4, class: 'chart-axis' }, formatX(points[0].x)));
+  if (points.length > 1) {
+    svg.appendChild(svgEl('text', { x: right, y: CHART_H - 4, class: 'chart-axis chart-axis-end' },
+      formatX(points[points.length - 1].x)));
+  }
+
+  const line = points.map((p, i) => `${i ? 'L' : 'M'}${sx(p.x).toFixed(1)},${sy(p.y).toFixed(1)}`).join(' ');
+  const area = `${line} L${sx(points[points.length - 1].x).toFixed(1)},${bottom} L${sx(points[0].x).toFixed(1)},${bottom} Z`;
+  svg.appendChild(svgEl('path', { d: area, fill: color, class: 'chart-area' }));
+  svg.appendChild(svgEl('path', { d: line, stroke: color, class: 'chart-line' }));
+
+  // Dots (with hover titles) only while they are far enough apart to read
+  if (points.length <= 60) {
+    for (const p of points) {
+      const dot = svgEl('circle', { cx: sx(p.x), cy: sy(p.y), r: 2.5, fill: color, class: 'chart-dot' });
+      if (p.title) dot.appendChild(svgEl('title', {}, p.title));
+      svg.appendChild(dot);
+    }
+  }
+}
@@ -2,20 +2,36 @@
 
 // ── State ────────────────────────────────────────────────────
 let isActive = false;
+let isPaused = false;
 
 // ── DOM references ───────────────────────────────────────────
 const statusDot     = document.getElementById('statusDot');
 const statusLabel   = document.getElementById('statusLabel');
 const wpmValue      = document.getElementById('wpmValue');
 const cpmValue      = document.getElementById('cpmValue');
+const netWpmVal     = document.getElementById('netWpmValue');
+const accuracyVal   = document.getElementById('accuracyValue');
+const correctionVal = document.getElementById('correctionValue');
+const qualityRow    = document.querySelector('.quality');
 const keystrokesVal = document.getElementById('keystrokesValue');
 const backspacesVal = document.getElementById('backspacesValue');
-const pastedVal     = document.getElementById('pastedValue');
+const assistedVal   = document.getElementById('assistedValue');
+const assistedInfo  = document.getElementById('assistedBreakdown');
 const peakVal       = document.getElementById('peakValue');
 const elapsedVal    = document.getElementById('elapsedValue');
 const toggleBtn     = document.getElementById('toggleBtn');
+const pauseBtn      = document.getElementById('pauseBtn');
+const openTestBtn   = document.getElementById('openTest');
+const openOptionsBtn = document.getElementById('openOptions');
+const profileSelect = document.getElementById('profileSelect');
 const wpmCard       = document.querySelector('.wpm-card');
+const goalRing      = document.getElementById('goalRing');
+const goalRingFill  = document.getElementById('goalRingFill');
+const goalStreak    = document.getElementById('goalStreak');
 const cpmCard       = document.querySelector('.cpm-card');
+const tagForm       = document.getElementById('tagForm');
+const tagInput      = document.getElementById('tagInput');
+const noteInput     = document.getElementById('noteInput');
 
 // History panel
 const tabLive       = document.getElementById('tabLive');
@@ -26,18 +42,94 @@ const sessionsList  = document.getElementById('sessionsList');
 const sessionsEmpty = document.getElementById('sessionsEmpty');
 const sessionsCount = document.getElementById('sessionsCount');
 const clearBtn      = document.getElementById('clearSessions');
+const showMoreBtn   = document.getElementById('showMore');
+const importBtn     = document.getElementById('importSessions');
+const importFile    = document.getElementById('importFile');
+const exportCsvBtn  = document.getElementById('exportCsv');
+const exportJsonBtn = document.getElementById('exportJson');
+const historyStatus = document.getElementById('historyStatus');
+const filterQuery   = document.getElementById('filterQuery');
+const filterSort    = document.getElementById('filterSort');
+const filterDomain  = document.getElementById('filterDomain');
+const filterTag     = document.getElementById('filterTag');
+const filterFrom    = document.getElementById('filterFrom');
+const filterTo      = document.getElementById('filterTo');
+const summaryWpm    = document.getElementById('summaryWpm');
+const summaryTime   = document.getElementById('summaryTime');
+const summaryBest   = document.getElementById('summaryBest');
+const summaryBestLabel = document.getElementById('summaryBestLabel');
+const tagSummary    = document.getElementById('tagSummary');
 
-// ── Helpers ──────────────────────────────────────────────────
-async function getActiveTab() {
-  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-  return tab;
-}
+// Session detail
+const panelSession    = document.getElementById('panelSession');
+const detailBackBtn   = document.getElementById('detailBack');
+const detailDomain    = document.getElementById('detailDomain');
+const detailDate      = document.getElementById('detailDate');
+const detailStats     = document.getElementById('detailStats');
+const detailAssisted  = document.getElementById('detailAssisted');
+const detailTagForm   = document.getElementById('detailTagForm');
+const detailTags      = document.getElementById('detailTags');
+const detailNote      = document.getElementById('detailNote');
+const detailTagStatus = document.getElementById('detailTagStatus');
+const detailNoRhythm  = document.getElementById('detailNoRhythm');
+const detailRhythmBody = document.getElementById('detailRhythmBody');
+const detailRhythm    = document.getElementById('detailRhythm');
+const burstHistogram  = document.getElementById('burstHistogram');
+const pauseHistogram  = document.getElementById('pauseHistogram');
+const detailChart     = document.getElementById('detailChart');
+
+// Progress panel
+const tabProgress     = document.getElementById('tabProgress');
+const panelProgress   = document.getElementById('panelProgress');
+const trendUnitToggle = document.getElementById('trendUnit');
+const trendChart      = document.getElementById('trendChart');
+const seriesSelect    = document.getElementById('seriesSession');
+const seriesChart     = document.getElementById('seriesChart');
+
+// Reports panel
+const tabReports      = document.getElementById('tabReports');
+const panelReports    = document.getElementById('panelReports');
+const reportUnitToggle = document.getElementById('reportUnit');
+const reportPrevBtn   = document.getElementById('reportPrev');
+const reportNextBtn   = document.getElementById('reportNext');
+const reportLabel     = document.getElementById('reportLabel');
+const reportTotalsEl  = document.getElementById('reportTotals');
+const reportList      = document.getElementById('reportList');
+const reportEmpty     = document.getElementById('reportEmpty');
+const editGroupsBtn   = document.getElementById('editGroups');
+
+// Keys panel
+const tabKeys         = document.getElementById('tabKeys');
+const panelKeys       = document.getElementById('panelKeys');
+const keysOff         = document.getElementById('keysOff');
+const keysOn          = document.getElementById('keysOn');
+const keyboardEl      = document.getElementById('keyboard');
+const keyMetricToggle = document.getElementById('keyMetric');
+const keysNote        = document.getElementById('keysNote');
+const slowKeysList    = document.getElementById('slowKeys');
+const slowPairsList   = document.getElementById('slowPairs');
+const correctedList   = document.getElementById('correctedKeys');
+
+// Team panel
+const tabTeam         = document.getElementById('tabTeam');
+const panelTeam       = document.getElementById('panelTeam');
+const teamOff         = document.getElementById('teamOff');
+const teamOn          = document.getElementById('teamOn');
+const teamPeriodToggle = document.getElementById('teamPeriod');
+const teamList        = document.getElementById('teamList');
+const teamStatus      = document.getElementById('teamStatus');
+const teamPending     = document.getElementById('teamPending');
 
-async function sendToContent(action) {
-  const tab = await getActiveTab();
-  if (!tab) return null;
+// History is unlimited, so the list is rendered a page at a time
+const PAGE_SIZE   = 50;
+let allSessions   = [];   // full history, newest first
+let visibleCount  = PAGE_SIZE;
+
+// ── Helpers ──────────────────────────────────────────────────
+// The session is owned by the service worker, not the current tab
+async function sendToWorker(action, extra = {}) {
   try {
-    return await chrome.tabs.sendMessage(tab.id, { action });
+    return await chrome.runtime.sendMessage({ action, ...extra });
   } catch {
     return null;
   }
@@ -51,6 +143,24 @@ function formatElapsed(secs) {
   return s > 0 ? `${m}m ${s}s` : `${m}m`;
 }
 
+// Assisted characters by source (shared/engine.js), largest first:
+// "40 pasted · 12 autocorrected".  Empty when there are none.
+const ASSIST_LABELS = {
+  paste:   'pasted',
+  drop:    'dropped',
+  replace: 'autocorrected',
+  yank:    'yanked',
+  insert:  'inserted (suggestions, expanders, dictation)',
+};
+
+function formatAssisted(assisted = {}) {
+  return Object.entries(assisted)
+    .filter(([source, chars]) => ASSIST_LABELS[source] && chars > 0)
+    .sort((a, b) => b[1] - a[1])
+    .map(([source, chars]) => `${chars} ${ASSIST_LABELS[source]}`)
+    .join(' \u00b7 ');
+}
+
 function relativeTime(isoString) {
   const diffMs   = Date.now() - new Date(isoString).getTime();
   const diffMins = Math.floor(diffMs / 60_000);
@@ -65,19 +175,42 @@ function escapeHtml(str) {
   return String(str)
     .replace(/&/g, '&amp;')
     .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;');
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
 }
 
 // ── Live panel — UI updates ───────────────────────────────────
-function setActiveState(active) {
+function setActiveState(active, auto = false, paused = false) {
   isActive = active;
+  isPaused = active && paused;
+
+  statusDot.classList.toggle('active', active && !isPaused);
+  statusDot.classList.toggle('paused', isPaused);
+  statusLabel.classList.toggle('active', active && !isPaused);
+  statusLabel.classList.toggle('paused', isPaused);
+  statusLabel.textContent = !active ? 'Not measuring'
+    : isPaused ? 'Paused \u2014 input is not counted'
+    : auto ? 'Measuring automatically\u2026'
+    : 'Measuring\u2026';
 
-  statusDot.classList.toggle('active', active);
-  statusLabel.classList.toggle('active', active);
-  statusLabel.textContent = active ? 'Measuring\u2026' : 'Not measuring';
+  profileSelect.disabled = active;
+  profileSelect.title    = active ? 'Stop measuring to switch profiles' : '';
+
+  pauseBtn.classList.toggle('hidden', !active);
+  pauseBtn.classList.toggle('paused', isPaused);
+  pauseBtn.innerHTML = isPaused ? `
+    <svg class="btn-icon" viewBox="0 0 16 16" fill="currentColor">
+      <path d="M4 2.5v11l9-5.5z"/>
+    </svg>
+    Resume` : `
+    <svg class="btn-icon" viewBox="0 0 16 16" fill="currentColor">
+      <rect x="3.5" y="3" width="3" height="10" rx="1"/><rect x="9.5" y="3" width="3" height="10" rx="1"/>
+    </svg>
+    Pause`;
 
   wpmCard.classList.toggle('active', active);
   cpmCard.classList.toggle('active', active);
+  qualityRow.classList.toggle('active', active);
 
   if (active) {
     toggleBtn.className = 'btn btn-stop';
@@ -103,102 +236,833 @@ function updateStats(data) {
   wpmValue.textContent = hasTyped ? data.wpm   : '\u2014';
   cpmValue.textContent = hasTyped ? data.cpm   : '\u2014';
 
+  netWpmVal.textContent     = hasTyped ? data.netWpm                 : '\u2014';
+  accuracyVal.textContent   = hasTyped ? `${data.accuracy}%`         : '\u2014';
+  correctionVal.textContent = hasTyped ? `${data.correctionRatio}%`  : '\u2014';
+
   keystrokesVal.textContent = data.totalChars  ?? 0;
   backspacesVal.textContent = data.backspaces  ?? 0;
-  pastedVal.textContent     = data.pastedChars ?? 0;
+  assistedVal.textContent   = data.assistedChars ?? data.pastedChars ?? 0;
+  assistedInfo.textContent  = formatAssisted(data.assisted);
+  assistedInfo.classList.toggle('hidden', !assistedInfo.textContent);
   peakVal.textContent       = data.peakWpm > 0 ? data.peakWpm : '\u2014';
   elapsedVal.textContent    = formatElapsed(data.elapsedTime ?? 0);
 }
 
 // ── History panel ─────────────────────────────────────────────
+function currentFilters() {
+  return {
+    query:  filterQuery.value,
+    domain: filterDomain.value,
+    tag:    filterTag.value,
+    from:   filterFrom.value,
+    to:     filterTo.value,
+    sort:   filterSort.value,
+  };
+}
+
+function renderDomainOptions(sessions) {
+  const domains  = sessionDomains(sessions);
+  const selected = filterDomain.value;
+  filterDomain.innerHTML = '<option value="">All domains</option>' +
+    domains.map(d => `<option value="${escapeHtml(d)}">${escapeHtml(d)}</option>`).join('');
+  filterDomain.value = domains.includes(selected) ? selected : '';
+}
+
+function renderTagOptions(sessions) {
+  const tags     = sessionTags(sessions);
+  const selected = filterTag.value;
+  filterTag.innerHTML = '<option value="">All tags</option>' +
+    tags.map(t => `<option value="${escapeHtml(t)}">${escapeHtml(t)}</option>`).join('');
+  filterTag.value = tags.includes(selected) ? selected : '';
+  filterTag.classList.toggle('hidden', tags.length === 0);
+}
+
+function renderSummary(summary) {
+  summaryWpm.textContent  = summary.count > 0 ? summary.avgWPM : '\u2014';
+  summaryTime.textContent = formatElapsed(summary.activeTime);
+  summaryBest.textContent = summary.best ? summary.best.avgWPM : '\u2014';
+  summaryBestLabel.textContent = summary.best ? `Best \u00b7 ${summary.best.domain}` : 'Best';
+  summaryBestLabel.title       = summary.best ? summary.best.domain : '';
+}
+
+// Per-tag averages of the filtered sessions; hidden until something is tagged
+function renderTagSummary(sessions) {
+  const rows = summarizeByTag(sessions);
+  tagSummary.classList.toggle('hidden', rows.length === 0);
+  tagSummary.innerHTML = rows.map(row => `
+    <li>
+      <button class="tag-row${row.tag === filterTag.value ? ' active' : ''}" data-tag="${escapeHtml(row.tag)}"
+              title="Show only sessions tagged ${escapeHtml(row.tag)}">
+        <span class="chip chip-tag">${escapeHtml(row.tag)}</span>
+        <span class="tag-row-meta">${row.count} &middot; ${formatElapsed(row.activeTime)}</span>
+        <span class="tag-row-wpm">${row.avgWPM} WPM</span>
+      </button>
+    </li>`).join('');
+}
+
 function renderSessions(sessions) {
-  const count = sessions ? sessions.length : 0;
-  sessionsCount.textContent = count === 1 ? '1 session' : `${count} sessions`;
+  const count = sessions.length;
+  const total = allSessions.length;
+  const label = count === 1 ? '1 session' : `${count} sessions`;
+  sessionsCount.textContent = count === total ? label : `${label} of ${total}`;
 
   if (count === 0) {
-    sessionsEmpty.classList.remove('hidden');
+    sessionsEmpty.classList.toggle('hidden', total > 0);
     sessionsList.innerHTML = '';
+    showMoreBtn.classList.add('hidden');
     return;
   }
 
   sessionsEmpty.classList.add('hidden');
-  sessionsList.innerHTML = sessions.map(s => `
-    <div class="session-item">
+  sessionsList.innerHTML = sessions.slice(0, visibleCount).map(s => `
+    <div class="session-item" data-id="${s.id}" tabindex="0" aria-label="Session details">
       <div class="session-row session-top">
         <span class="session-domain">${escapeHtml(s.domain)}</span>
         <span class="session-chips">
+          ${s.type === 'test' ? '<span class="chip chip-test">Test</span>' : ''}
+          ${s.synced ? '<span class="chip chip-synced" title="Recorded on another device">Synced</span>' : ''}
           <span class="chip chip-wpm">${s.avgWPM} WPM</span>
           <span class="chip chip-cpm">${s.avgCPM} CPM</span>
+          ${s.accuracy != null ? `<span class="chip chip-acc">${s.accuracy}%</span>` : ''}
         </span>
       </div>
       <div class="session-row">
         <span class="session-date">${relativeTime(s.timestamp)}</span>
-        <span class="session-meta-right">${formatElapsed(s.duration)} &middot; ${s.backspaces}&#9003; &middot; ${s.pastedChars ?? 0}&#8629;</span>
+        <span class="session-meta-right">${formatElapsed(s.duration)} &middot; ${s.backspaces}&#9003; &middot; ${s.pastedChars ?? 0}&#8629;<button class="session-delete" title="Delete session" aria-label="Delete session">&#215;</button></span>
       </div>
+      ${s.tags?.length || s.note ? `
+      <div class="session-row session-tags">
+        ${(s.tags ?? []).map(t => `<span class="chip chip-tag">${escapeHtml(t)}</span>`).join('')}
+        ${s.note ? `<span class="session-note" title="${escapeHtml(s.note)}">${escapeHtml(s.note)}</span>` : ''}
+      </div>` : ''}
     </div>
   `).join('');
+  showMoreBtn.classList.toggle('hidden', count <= visibleCount);
+}
+
+function refreshHistory() {
+  const filtered = filterSessions(allSessions, currentFilters());
+  renderSummary(summarizeSessions(filtered));
+  renderTagSummary(filtered);
+  renderSessions(filtered);
 }
 
 async function loadSessions() {
+  const settings = await loadSettings();
+  renderProfiles(settings);
+  renderPrivacy(settings);
   try {
-    const { sessions = [] } = await chrome.storage.local.get('sessions');
-    renderSessions(sessions);
-  } catch {
-    renderSessions([]);
+    allSessions = profileSessions(await getSessions(), settings);
+  } catch (err) {
+    console.error('[Typing Speed Meter] Failed to load history:', err);
+    allSessions = [];
+  }
+  renderDomainOptions(allSessions);
+  renderTagOptions(allSessions);
+  refreshHistory();
+  renderGoals();
+}
+
+// ── Daily goals ───────────────────────────────────────────────
+// The header ring fills with today's progress; the number is the streak.
+const RING_CIRCUMFERENCE = 2 * Math.PI * 15;
+
+async function renderGoals() {
+  const settings = await loadSettings();
+  const today    = periodStart(Date.now(), 'day');
+  const progress = dailyProgress(allSessions.filter(s => Date.parse(s.timestamp) >= today), settings);
+  const streak   = computeStreak(allSessions, settings);
+
+  goalRingFill.style.strokeDasharray  = RING_CIRCUMFERENCE;
+  goalRingFill.style.strokeDashoffset = RING_CIRCUMFERENCE * (1 - progress.fraction);
+  goalRing.classList.toggle('met', progress.met);
+  goalStreak.textContent = streak.current;
+
+  const lines = progress.goals.length
+    ? progress.goals.map(g => `${g.label}: ${g.value} / ${g.target}${g.met ? ' \u2713' : ''}`)
+    : ['No daily goals set \u2014 any typing counts'];
+  goalRing.title = [
+    'Today',
+    ...lines,
+    `Streak: ${streak.current} day${streak.current === 1 ? '' : 's'} (longest ${streak.longest})`,
+  ].join('\n');
+}
+
+[filterQuery, filterSort, filterDomain, filterTag, filterFrom, filterTo].forEach(el => {
+  el.addEventListener('input', () => {
+    visibleCount = PAGE_SIZE;
+    refreshHistory();
+  });
+});
+
+tagSummary.addEventListener('click', (e) => {
+  const row = e.target.closest('.tag-row');
+  if (!row) return;
+  filterTag.value = filterTag.value === row.dataset.tag ? '' : row.dataset.tag;
+  visibleCount = PAGE_SIZE;
+  refreshHistory();
+});
+
+showMoreBtn.addEventListener('click', () => {
+  visibleCount += PAGE_SIZE;
+  refreshHistory();
+});
+
+sessionsList.addEventListener('click', async (e) => {
+  const item = e.target.closest('.session-item');
+  if (!item) return;
+  const id = Number(item.dataset.id);
+  if (!e.target.closest('.session-delete')) {
+    openSessionDetail(id);
+    return;
+  }
+  await deleteHistorySessions(allSessions.filter(s => s.id === id));
+  allSessions = allSessions.filter(s => s.id !== id);
+  renderDomainOptions(allSessions);
+  renderTagOptions(allSessions);
+  refreshHistory();
+});
+
+sessionsList.addEventListener('keydown', (e) => {
+  if ((e.key !== 'Enter' && e.key !== ' ') || !e.target.classList.contains('session-item')) return;
+  e.preventDefault();
+  openSessionDetail(Number(e.target.dataset.id));
+});
+
+// ── Session detail ────────────────────────────────────────────
+// Opened from a History row; replaces the History panel until "Back"
+function formatMs(ms) {
+  return ms < 60_000 ? `${Math.round(ms / 1000)}s` : formatElapsed(Math.round(ms / 1000));
+}
+
+function renderStatCards(container, cards) {
+  container.innerHTML = cards.map(([value, label]) => `
+    <div class="summary-card">
+      <div class="summary-value">${escapeHtml(value)}</div>
+      <div class="summary-label">${label}</div>
+    </div>`).join('');
+}
+
+// `edges` are bucket upper bounds in ms; the last bucket is open-ended
+function renderHistogram(container, counts, edges) {
+  const most  = Math.max(...counts, 1);
+  const label = i => i === 0 ? `< ${formatMs(edges[0])}`
+    : i === edges.length ? `${formatMs(edges[i - 1])}+`
+    : `${formatMs(edges[i - 1])}\u2013${formatMs(edges[i])}`;
+  container.innerHTML = counts.map((count, i) => `
+    <div class="hist-row">
+      <span>${label(i)}</span>
+      <span class="hist-bar"><span style="width:${(count / most * 100).toFixed(1)}%"></span></span>
+      <b>${count}</b>
+    </div>`).join('');
+}
+
+function openSessionDetail(id) {
+  const s = allSessions.find(session => session.id === id);
+  if (!s) return;
+
+  detailDomain.textContent = s.domain;
+  detailDate.textContent   = new Date(s.timestamp).toLocaleString(undefined,
+    { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+  const percent = value => value != null ? `${value}%` : '\u2014';
+  renderStatCards(detailStats, [
+    [s.avgWPM,                    'WPM'],
+    [s.netWPM ?? '\u2014',        'Net WPM'],
+    [percent(s.accuracy),         'Accuracy'],
+    [percent(s.consistency),      'Consistency'],
+    [formatElapsed(s.duration),   'Active'],
+    [s.elapsed != null ? formatElapsed(s.elapsed) : '\u2014', 'Elapsed'],
+    [s.totalChars,                'Chars'],
+    [s.assistedChars ?? s.pastedChars ?? 0, 'Assisted'],
+  ]);
+  // Sessions saved before assisted input was classified only know pastes
+  detailAssisted.textContent = formatAssisted(s.assisted ?? { paste: s.pastedChars });
+  detailAssisted.classList.toggle('hidden', !detailAssisted.textContent);
+
+  detailTagForm.dataset.id    = s.id;
+  detailTags.value            = formatTags(s.tags);
+  detailNote.value            = s.note ?? '';
+  detailTagStatus.textContent = '';
+
+  const r = s.rhythm;
+  detailNoRhythm.classList.toggle('hidden', !!r);
+  detailRhythmBody.classList.toggle('hidden', !r);
+  if (r) {
+    // Spread of per-burst WPM: a wide one means stop-start rather than slow
+    const burstWpm = r.burstWpmSd != null ? `${r.burstWpm} \u00b1 ${Math.round(r.burstWpmSd)}` : r.burstWpm;
+    renderStatCards(detailRhythm, [
+      [r.bursts,                    'Bursts'],
+      [formatMs(r.meanBurstMs),     'Avg burst'],
+      [formatMs(r.longestBurstMs),  'Longest'],
+      [formatMs(r.meanPauseMs),     'Avg pause'],
+      [burstWpm,                    'Burst WPM'],
+      [percent(r.consistency),      'Consistency'],
+    ]);
+    renderHistogram(burstHistogram, r.burstLengths, BURST_BUCKETS_MS);
+    renderHistogram(pauseHistogram, r.pauses,       PAUSE_BUCKETS_MS);
   }
+
+  renderLineChart(detailChart, (s.series ?? []).map(([t, wpm]) => ({
+    x: t, y: wpm, title: `${formatElapsed(t)}: ${wpm} WPM`,
+  })), { color: '#60a5fa', formatX: formatElapsed, emptyText: 'No timeline recorded for this session' });
+
+  panelHistory.classList.add('hidden');
+  panelSession.classList.remove('hidden');
+  detailBackBtn.focus();
+}
+
+function closeSessionDetail() {
+  panelSession.classList.add('hidden');
+  panelHistory.classList.remove('hidden');
 }
 
+detailBackBtn.addEventListener('click', closeSessionDetail);
+
+// Saving keeps the detail open; History shows the change on the way back
+detailTagForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const id = Number(detailTagForm.dataset.id);
+  try {
+    const updated = await tagSession(id, { tags: parseTags(detailTags.value), note: detailNote.value });
+    if (!updated) throw new Error('the session no longer exists');
+    allSessions = allSessions.map(s => s.id === id ? updated : s);
+    detailTags.value = formatTags(updated.tags);
+    detailNote.value = updated.note ?? '';
+    detailTagStatus.textContent = 'Saved';
+    renderTagOptions(allSessions);
+    refreshHistory();
+  } catch (err) {
+    detailTagStatus.textContent = `Could not save: ${err.message}`;
+  }
+});
+
+// ── Progress panel ────────────────────────────────────────────
+// How far back the trend chart looks for each grouping
+const TREND_RANGE = { day: 30, week: 12 };
+let trendUnit = 'day';
+
+function renderTrend() {
+  const periods = averageByPeriod(allSessions, trendUnit);
+  const since   = periodStart(Date.now(), trendUnit) -
+    (TREND_RANGE[trendUnit] - 1) * (trendUnit === 'week' ? 7 : 1) * 86_400_000;
+  const label   = t => new Date(t).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+  renderLineChart(trendChart, periods.filter(p => p.start >= since).map(p => ({
+    x:     p.start,
+    y:     p.avgWPM,
+    title: `${trendUnit === 'week' ? 'Week of ' : ''}${label(p.start)}: ${p.avgWPM} WPM \u00b7 ${formatElapsed(p.activeTime)}`,
+  })), { formatX: label, emptyText: 'Type for a while to see your trend' });
+}
+
+function renderSeries() {
+  const session = allSessions.find(s => s.id === Number(seriesSelect.value));
+  const points  = (session?.series ?? []).map(([t, wpm]) => ({
+    x: t, y: wpm, title: `${formatElapsed(t)}: ${wpm} WPM`,
+  }));
+  renderLineChart(seriesChart, points, {
+    color:     '#60a5fa',
+    formatX:   formatElapsed,
+    emptyText: session ? 'No timeline recorded for this session' : 'No sessions yet',
+  });
+}
+
+async function loadProgress() {
+  await loadSessions();
+  const selected = seriesSelect.value;
+  const charted  = allSessions.filter(s => s.series?.length).slice(0, PAGE_SIZE);
+  seriesSelect.innerHTML = charted.map(s =>
+    `<option value="${s.id}">${escapeHtml(s.domain)} \u00b7 ${relativeTime(s.timestamp)}</option>`).join('');
+  if (charted.some(s => String(s.id) === selected)) seriesSelect.value = selected;
+  renderTrend();
+  renderSeries();
+}
+
+trendUnitToggle.addEventListener('click', e => {
+  const unit = e.target.closest('button')?.dataset.unit;
+  if (!unit) return;
+  trendUnit = unit;
+  for (const btn of trendUnitToggle.children) btn.classList.toggle('active', btn.dataset.unit === unit);
+  renderTrend();
+});
+
+seriesSelect.addEventListener('change', renderSeries);
+
+// ── Reports panel ─────────────────────────────────────────────
+// Where typing time went in one day, week or month, by domain or by the
+// groups defined on the options page
+let reportUnit  = 'day';
+let reportStart = periodStart(Date.now(), reportUnit);
+
+function reportPeriodLabel(start, unit) {
+  const current = periodStart(Date.now(), unit);
+  const date    = t => new Date(t).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+  switch (unit) {
+    case 'day':
+      if (start === current) return 'Today';
+      if (start === shiftPeriod(current, 'day', -1)) return 'Yesterday';
+      return new Date(start).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+    case 'week':
+      return start === current ? 'This week' : `Week of ${date(start)}`;
+    case 'month':
+      return start === current ? 'This month'
+        : new Date(start).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+  }
+  return '';
+}
+
+function renderReportTotals(totals) {
+  const cells = [
+    [formatElapsed(totals.activeTime),         'Time'],
+    [totals.totalChars.toLocaleString(),       'Chars'],
+    [totals.avgWPM,                            'WPM'],
+    [`${totals.pasteRatio}%`,                  'Pasted'],
+    [`${totals.backspaceRatio}%`,              'Backspace'],
+  ];
+  reportTotalsEl.innerHTML = cells.map(([value, label]) => `
+    <div>
+      <div class="report-total-value">${escapeHtml(value)}</div>
+      <div class="report-total-label">${label}</div>
+    </div>`).join('');
+}
+
+async function renderReport() {
+  const settings = await loadSettings();
+  const end      = shiftPeriod(reportStart, reportUnit, 1);
+  const sessions = allSessions.filter(s => {
+    const t = Date.parse(s.timestamp);
+    return t >= reportStart && t < end;
+  });
+  const rows    = buildReport(sessions, settings.reportGroups);
+  const longest = rows[0]?.activeTime || 1;
+
+  reportLabel.textContent = reportPeriodLabel(reportStart, reportUnit);
+  reportNextBtn.disabled  = reportStart >= periodStart(Date.now(), reportUnit);
+  reportEmpty.classList.toggle('hidden', rows.length > 0);
+  renderReportTotals(reportTotals(sessions));
+
+  reportList.innerHTML = rows.map(row => `
+    <li class="report-row">
+      <div class="report-head">
+        <span class="report-name" title="${escapeHtml(row.domains.join(', '))}">${escapeHtml(row.name)}</span>
+        <span class="report-time">${formatElapsed(row.activeTime)}</span>
+      </div>
+      <div class="report-bar"><span style="width:${(row.activeTime / longest * 100).toFixed(1)}%"></span></div>
+      <div class="report-meta">
+        ${row.avgWPM} WPM &middot; ${row.totalChars.toLocaleString()} chars &middot;
+        ${row.pasteRatio}% pasted &middot; ${row.backspaceRatio}% backspace
+      </div>
+    </li>`).join('');
+}
+
+async function loadReports() {
+  await loadSessions();
+  renderReport();
+}
+
+reportUnitToggle.addEventListener('click', e => {
+  const unit = e.target.closest('button')?.dataset.unit;
+  if (!unit) return;
+  reportUnit  = unit;
+  reportStart = periodStart(Date.now(), unit);
+  for (const btn of reportUnitToggle.children) btn.classList.toggle('active', btn.dataset.unit === unit);
+  renderReport();
+});
+
+reportPrevBtn.addEventListener('click', () => {
+  reportStart = shiftPeriod(reportStart, reportUnit, -1);
+  renderReport();
+});
+
+reportNextBtn.addEventListener('click', () => {
+  reportStart = shiftPeriod(reportStart, reportUnit, 1);
+  renderReport();
+});
+
+editGroupsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+
+// ── Keys panel ────────────────────────────────────────────────
+// A US-layout heatmap; keys typed on other layouts still appear in the lists.
+const KEYBOARD_ROWS = ['1234567890-=', 'qwertyuiop[]', 'asdfghjkl;\'', 'zxcvbnm,./', ' '];
+let keyMetric  = 'speed';
+let keySummary = [];
+
+function keyLabel(key) {
+  return key === ' ' ? 'space' : key;
+}
+
+// 0 (best) … 1 (worst) for the chosen metric, relative to the other keys
+function keyHeat(summary, metric) {
+  const value  = k => metric === 'speed' ? k.meanMs : k.correctRate;
+  const values = summary.map(value).filter(v => v !== null);
+  const min = Math.min(...values), max = Math.max(...values);
+  return k => {
+    const v = value(k);
+    if (v === null || max === min) return v === null ? null : 0;
+    return (v - min) / (max - min);
+  };
+}
+
+function renderKeyboard() {
+  const byKey = new Map(keySummary.map(k => [k.key, k]));
+  const heat  = keyHeat(keySummary, keyMetric);
+
+  keyboardEl.innerHTML = KEYBOARD_ROWS.map(row => `<div class="key-row">${[...row].map(key => {
+    const k = byKey.get(key);
+    const h = k ? heat(k) : null;
+    const title = k
+      ? `${keyLabel(key)}: ${k.count} presses \u00b7 ${k.meanMs ?? '\u2014'} ms avg \u00b7 ${Math.round(k.correctRate * 100)}% corrected`
+      : `${keyLabel(key)}: no data`;
+    // Cool purple for the best keys through to red for the worst
+    const style = h === null ? '' : ` style="background:hsla(${Math.round(262 + h * 98)},70%,55%,${0.18 + h * 0.6})"`;
+    return `<div class="key${key === ' ' ? ' space' : ''}${h === null ? '' : ' has-data'}" title="${escapeHtml(title)}"${style}>${escapeHtml(key === ' ' ? '' : key)}</div>`;
+  }).join('')}</div>`).join('');
+
+  keysNote.textContent = keyMetric === 'speed'
+    ? 'Redder keys take longer to reach from the previous key. Updated when a session ends.'
+    : 'Redder keys are more often the last key before a Backspace. Updated when a session ends.';
+}
+
+function renderKeyList(list, items, format) {
+  list.innerHTML = items.length
+    ? items.map(item => `<li>${format(item)}</li>`).join('')
+    : '<li class="none">Not enough data</li>';
+}
+
+async function loadKeys() {
+  const settings = await loadSettings();
+  const stats    = await loadKeyStats(settings.profile);
+  keysOff.classList.toggle('hidden', settings.keyAnalytics);
+  keysOn.classList.toggle('hidden', !settings.keyAnalytics && !hasKeyStats(stats));
+
+  keySummary = summarizeKeys(stats);
+  renderKeyboard();
+
+  const timed = keySummary.filter(k => k.meanMs !== null);
+  renderKeyList(slowKeysList, [...timed].sort((a, b) => b.meanMs - a.meanMs).slice(0, 5),
+    k => `<code>${escapeHtml(keyLabel(k.key))}</code>${k.meanMs} ms`);
+  renderKeyList(slowPairsList, slowestBigrams(stats),
+    p => `<code>${escapeHtml(p.pair.replace(/ /g, '\u2423'))}</code>${p.meanMs} ms`);
+  renderKeyList(correctedList, keySummary
+    .filter(k => k.count >= KEY_STATS_MIN_SAMPLES && k.correctRate > 0)
+    .sort((a, b) => b.correctRate - a.correctRate).slice(0, 5),
+    k => `<code>${escapeHtml(keyLabel(k.key))}</code>${Math.round(k.correctRate * 100)}%`);
+}
+
+keyMetricToggle.addEventListener('click', e => {
+  const metric = e.target.closest('button')?.dataset.metric;
+  if (!metric) return;
+  keyMetric = metric;
+  for (const btn of keyMetricToggle.children) btn.classList.toggle('active', btn.dataset.metric === metric);
+  renderKeyboard();
+});
+
+document.getElementById('enableKeys').addEventListener('click', async () => {
+  await saveSettings({ keyAnalytics: true });
+  loadKeys();
+});
+
+document.getElementById('resetKeys').addEventListener('click', async () => {
+  await clearKeyStats((await loadSettings()).profile);
+  loadKeys();
+});
+
+// ── Team panel ────────────────────────────────────────────────
+// The leaderboard comes straight from the team server (shared/reporter.js);
+// the active profile's own row is highlighted.
+let teamPeriod = 'week';
+let teamLoad   = 0;   // only the latest request may render
+
+function renderTeam(entries, ownId) {
+  teamList.innerHTML = entries.map((entry, i) => {
+    const own  = entry.id === ownId;
+    const name = entry.name ? escapeHtml(entry.name) : '<span class="team-anonymous">Anonymous</span>';
+    // The server is not ours to trust: every value is escaped
+    const meta = [
+      `${entry.sessions} session${entry.sessions === 1 ? '' : 's'}`,
+      formatElapsed(Number(entry.activeTime) || 0),
+      Number.isFinite(entry.accuracy) ? `${entry.accuracy}% accuracy` : null,
+    ].filter(Boolean).map(escapeHtml).join(' &middot; ');
+    return `
+    <li class="report-row${own ? ' team-self' : ''}">
+      <div class="report-head">
+        <span class="report-name"><span class="team-rank">${i + 1}</span>${name}${own ? ' (you)' : ''}</span>
+        <span class="report-time">${escapeHtml(entry.wpm)} WPM</span>
+      </div>
+      <div class="report-meta">${meta}</div>
+    </li>`;
+  }).join('');
+}
+
+function showTeamStatus(text) {
+  teamStatus.textContent = text;
+  teamStatus.classList.toggle('hidden', !text);
+}
+
+async function loadTeam() {
+  const load     = ++teamLoad;
+  const settings = await loadSettings();
+  const on       = settings.reportEnabled && !!settings.reportUrl;
+  teamOff.classList.toggle('hidden', on);
+  teamOn.classList.toggle('hidden', !on);
+  if (!on) return;
+
+  const pending = await pendingReports();
+  teamPending.textContent = `${pending} session${pending === 1 ? '' : 's'} waiting to be sent`;
+  teamPending.classList.toggle('hidden', pending === 0);
+
+  showTeamStatus('Loading\u2026');
+  try {
+    const [entries, ownId] = await Promise.all([
+      fetchLeaderboard(settings.reportUrl, teamPeriod),
+      loadReporterId(settings.profile),
+    ]);
+    if (load !== teamLoad) return;
+    renderTeam(entries, ownId);
+    showTeamStatus(entries.length ? '' : 'No reports in this period');
+  } catch (err) {
+    if (load !== teamLoad) return;
+    teamList.innerHTML = '';
+    showTeamStatus(`Could not load the leaderboard: ${err.message}`);
+  }
+}
+
+teamPeriodToggle.addEventListener('click', e => {
+  const period = e.target.closest('button')?.dataset.period;
+  if (!period) return;
+  teamPeriod = period;
+  for (const btn of teamPeriodToggle.children) btn.classList.toggle('active', btn.dataset.period === period);
+  loadTeam();
+});
+
+document.getElementById('setupTeam').addEventListener('click', () => chrome.runtime.openOptionsPage());
+
+// ── Export / import ───────────────────────────────────────────
+function showHistoryStatus(text, isError = false) {
+  historyStatus.textContent = text;
+  historyStatus.classList.toggle('error', isError);
+  historyStatus.classList.remove('hidden');
+}
+
+// Exports honour the current filters, so "export everything" is just
+// exporting with no filters set
+exportCsvBtn.addEventListener('click',  () => exportSessions(filterSessions(allSessions, currentFilters()), 'csv'));
+exportJsonBtn.addEventListener('click', () => exportSessions(filterSessions(allSessions, currentFilters()), 'json'));
+
+importBtn.addEventListener('click', () => importFile.click());
+
+importFile.addEventListener('change', async () => {
+  const file = importFile.files[0];
+  importFile.value = '';
+  if (!file) return;
+
+  try {
+    const text = await file.text();
+    const [settings, known] = await Promise.all([loadSettings(), getSessionIds()]);
+    const parsed  = parseImport(text, file.name, known);
+    const { invalid, duplicates } = parsed;
+    // Sessions the retention period would delete are not imported at all
+    const cutoff   = retentionCutoff(settings);
+    const sessions = parsed.sessions.filter(s => Date.parse(s.timestamp) >= cutoff);
+    const expired  = parsed.sessions.length - sessions.length;
+    // Imports join the profile they were imported into
+    await putSessions(sessions.map(s => ({ ...s, profile: settings.profile })));
+
+    const parts = [`Imported ${sessions.length} session${sessions.length === 1 ? '' : 's'}`];
+    if (duplicates) parts.push(`${duplicates} already in history`);
+    if (expired)    parts.push(`${expired} past the retention period skipped`);
+    if (invalid)    parts.push(`${invalid} invalid skipped`);
+    showHistoryStatus(parts.join(' \u00b7 '), sessions.length === 0 && invalid > 0);
+    loadSessions();
+  } catch (err) {
+    showHistoryStatus(`Import failed: ${err.message}`, true);
+  }
+});
+
+// ── Profiles ──────────────────────────────────────────────────
+// The header picker chooses whose history, goals and key analytics the popup
+// shows and whom the next session is filed under.  Profiles are added and
+// renamed on the options page.
+const MANAGE_PROFILES = '';
+
+function renderProfiles(settings) {
+  profileSelect.innerHTML = settings.profiles.map(p =>
+    `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)}</option>`).join('') +
+    `<option value="${MANAGE_PROFILES}">Manage profiles\u2026</option>`;
+  profileSelect.value = settings.profile;
+}
+
+profileSelect.addEventListener('change', async () => {
+  if (profileSelect.value === MANAGE_PROFILES) {
+    chrome.runtime.openOptionsPage();
+    loadSessions();
+    return;
+  }
+  await setActiveProfile(profileSelect.value);
+  const [name] = Object.entries(TABS).find(([, { tab }]) => tab.classList.contains('active'));
+  showTab(name);
+  // Every other tab reloads the sessions itself
+  if (name === 'live') loadSessions();
+});
+
+// ── Privacy notice ────────────────────────────────────────────
+// The footer promise, with the rules that back it as its tooltip; it opens
+// them on the options page
+const privacyNotice = document.getElementById('privacyNotice');
+
+function privacyRules(settings) {
+  const privateSites = settings.privateDomains.length;
+  return [
+    'What you type is never stored, only counts',
+    settings.measureSensitive
+      ? 'Password, payment-card and one-time-code fields are measured'
+      : 'Password, payment-card and one-time-code fields are not measured',
+    privateSites ? `Private sites (${privateSites}) are saved without their names` : null,
+    settings.incognito === 'unsaved' ? 'Incognito typing is measured but never saved' : 'Incognito tabs are not measured',
+    settings.retentionDays
+      ? `Sessions are deleted after ${settings.retentionDays} day${settings.retentionDays === 1 ? '' : 's'}`
+      : 'Sessions are kept until you delete them',
+    settings.syncHistory ? 'Session summaries are copied to your other browsers through Chrome sync' : null,
+    reportRule(settings),
+  ].filter(Boolean);
+}
+
+// Counts leave the browser for the team server, with names and sites only
+// when allowed
+function reportRule(settings) {
+  if (!settings.reportEnabled || !settings.reportUrl) return null;
+  const extras = [
+    settings.reportNames   && 'your profile name',
+    settings.reportDomains && 'each session\'s main site',
+  ].filter(Boolean);
+  return `Session summaries are sent to your team's server, ${settings.reportUrl}` +
+    (extras.length ? `, with ${extras.join(' and ')}` : '');
+}
+
+function renderPrivacy(settings) {
+  privacyNotice.title = privacyRules(settings).join('\n');
+}
+
+privacyNotice.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('options/options.html#privacy') });
+  window.close();
+});
+
 // ── Tab switching ─────────────────────────────────────────────
-function showTab(tab) {
-  const live = tab === 'live';
-  panelLive.classList.toggle('hidden', !live);
-  panelHistory.classList.toggle('hidden', live);
-  tabLive.classList.toggle('active', live);
-  tabHistory.classList.toggle('active', !live);
-  tabLive.setAttribute('aria-selected', live);
-  tabHistory.setAttribute('aria-selected', !live);
-  if (!live) loadSessions();
+const TABS = {
+  live:     { tab: tabLive,     panel: panelLive },
+  history:  { tab: tabHistory,  panel: panelHistory,  load: loadSessions },
+  progress: { tab: tabProgress, panel: panelProgress, load: loadProgress },
+  reports:  { tab: tabReports,  panel: panelReports,  load: loadReports },
+  keys:     { tab: tabKeys,     panel: panelKeys,     load: loadKeys },
+  team:     { tab: tabTeam,     panel: panelTeam,     load: loadTeam },
+};
+
+function showTab(name) {
+  panelSession.classList.add('hidden');
+  for (const [key, { tab, panel }] of Object.entries(TABS)) {
+    const on = key === name;
+    panel.classList.toggle('hidden', !on);
+    tab.classList.toggle('active', on);
+    tab.setAttribute('aria-selected', on);
+  }
+  TABS[name].load?.();
+}
+
+for (const [name, { tab }] of Object.entries(TABS)) {
+  tab.addEventListener('click', () => showTab(name));
+}
+
+// ── Tagging a stopped session ─────────────────────────────────
+// After Stop the Live panel offers to tag the session just saved, starting
+// from the tags auto-tag rules gave it
+function showTagForm(id, tags) {
+  tagForm.dataset.id = id;
+  tagInput.value     = formatTags(tags);
+  noteInput.value    = '';
+  tagForm.classList.remove('hidden');
+  tagInput.focus();
+}
+
+function hideTagForm() {
+  tagForm.classList.add('hidden');
 }
 
-tabLive.addEventListener('click',    () => showTab('live'));
-tabHistory.addEventListener('click', () => showTab('history'));
+tagForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  hideTagForm();
+  try {
+    await tagSession(Number(tagForm.dataset.id), { tags: parseTags(tagInput.value), note: noteInput.value });
+  } catch (err) {
+    console.error('[Typing Speed Meter] Failed to tag session:', err);
+  }
+  loadSessions();
+});
+
+document.getElementById('tagSkip').addEventListener('click', hideTagForm);
 
 // ── Button handler ────────────────────────────────────────────
 toggleBtn.addEventListener('click', async () => {
   if (!isActive) {
-    const res = await sendToContent('start');
-    if (res === null) {
-      statusLabel.textContent = 'Not available on this page';
+    hideTagForm();
+    const res = await sendToWorker('start', { profile: profileSelect.value });
+    if (!res) {
+      statusLabel.textContent = 'Could not start measuring';
       return;
     }
     setActiveState(true);
     updateStats(res);
   } else {
-    const res = await sendToContent('stop');
+    const res = await sendToWorker('stop');
     setActiveState(false);
     updateStats(res);
-    // Wait briefly for content.js to finish writing to storage, then refresh history
-    setTimeout(loadSessions, 400);
+    if (res?.sessionId) showTagForm(res.sessionId, res.tags);
+    // The worker has saved the session by the time it responds
+    loadSessions();
   }
 });
 
+pauseBtn.addEventListener('click', async () => {
+  const res = await sendToWorker(isPaused ? 'resume' : 'pause');
+  if (!res) return;
+  setActiveState(res.isActive, res.isAuto, res.isPaused);
+  updateStats(res);
+});
+
+// ── Typing test ───────────────────────────────────────────────
+openTestBtn.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('typing-test/typing-test.html') });
+  window.close();
+});
+
+openOptionsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+
 // ── Clear sessions ────────────────────────────────────────────
+// Only the active profile's history is cleared
 clearBtn.addEventListener('click', async () => {
-  await chrome.storage.local.set({ sessions: [] });
-  renderSessions([]);
+  await deleteHistorySessions(allSessions);
+  allSessions = [];
+  renderDomainOptions(allSessions);
+  renderTagOptions(allSessions);
+  refreshHistory();
 });
 
-// ── Receive live push updates from content.js ─────────────────
+// ── Receive live push updates from the service worker ─────────
 chrome.runtime.onMessage.addListener((message) => {
-  if (message.type === 'statsUpdate' && isActive) {
-    updateStats(message);
+  if (message.type !== 'statsUpdate') return;
+  // Auto-tracking can start or end a session, and the overlay or a shortcut
+  // can pause it, while the popup is open
+  if (message.isActive !== isActive || !!message.isPaused !== isPaused) {
+    setActiveState(message.isActive, message.isAuto, message.isPaused);
   }
+  updateStats(message);
 });
 
 // ── Init: restore state when popup opens ─────────────────────
 (async () => {
-  const res = await sendToContent('getStats');
-  if (res?.isActive) setActiveState(true);
+  const res = await sendToWorker('getStats');
+  if (res?.isActive) setActiveState(true, res.isAuto, res.isPaused);
   updateStats(res);
   // Pre-load sessions in background so History tab is fast to open
   loadSessions();
@@ -0,0 +1,237 @@
+'use strict';
+
+// Export and import of session history as CSV or JSON.  JSON exports carry
+// every field; CSV exports flatten the scalar fields into columns for
+// spreadsheets.  Imports of either format are validated field by field and
+// de-duplicated by session id before they are merged into history.  Needs
+// shared/tags.js and shared/rhythm.js.
+
+const EXPORT_FORMAT  = 'typing-speed-meter';
+const EXPORT_VERSION = 1;
+
+// Field → validator.  `required` fields must be present on every imported
+// session; the rest are checked only when present.  Keys not listed here
+// (and not in SESSION_OBJECT_FIELDS) are dropped on import.
+const SESSION_FIELDS = {
+  id:              { type: 'id',      required: true },
+  timestamp:       { type: 'date',    required: true },
+  type:            { type: 'sessionType' },   // 'passive' or 'test'
+  auto:            { type: 'boolean' },       // started by auto-tracking
+  profile:         { type: 'string' },        // id of the profile it was filed under
+  domain:          { type: 'string',  required: true },
+  duration:        { type: 'count',   required: true },
+  avgWPM:          { type: 'count',   required: true },
+  avgCPM:          { type: 'count',   required: true },
+  totalChars:      { type: 'count',   required: true },
+  backspaces:      { type: 'count',   required: true },
+  pastedChars:     { type: 'count' },
+  assistedChars:   { type: 'count' },         // inserted without typing, pastes included
+  netWPM:          { type: 'count' },
+  accuracy:        { type: 'percent' },
+  correctionRatio: { type: 'percent' },
+  deletedChars:    { type: 'count' },
+  corrections:     { type: 'count' },
+  consistency:     { type: 'percent' },
+  unspacedChars:   { type: 'count' },         // Chinese / Japanese characters
+  elapsed:         { type: 'count' },         // wall-clock seconds, pauses excluded
+  device:          { type: 'string' },        // id of the browser that recorded it
+  synced:          { type: 'boolean' },       // merged from another device's summary
+  tags:            { type: 'tags' },          // comma-separated in CSV
+  note:            { type: 'string' },
+};
+
+// Structured fields that only survive a JSON round trip, with the check each
+// must pass.  One that fails is dropped and the rest of the session kept.
+// `series` and `pauses` are checked by isSeriesPoint and isPauseInterval.
+const SESSION_OBJECT_FIELDS = {
+  domains:  isCountMap,      // domain → characters typed there
+  test:     isTestDetails,   // typing test settings and uncorrected errors
+  rhythm:   isRhythm,        // see summarizeRhythm() in shared/rhythm.js
+  assisted: isCountMap,      // source → characters inserted without typing
+};
+
+const CSV_COLUMNS   = Object.keys(SESSION_FIELDS);
+const NUMERIC_TYPES = new Set(['id', 'count', 'percent']);
+
+// ── Validation ───────────────────────────────────────────────
+function isValidField(type, value) {
+  switch (type) {
+    case 'id':          return Number.isSafeInteger(value) && value > 0;
+    case 'date':        return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+    case 'string':      return typeof value === 'string' && value.length > 0;
+    case 'sessionType': return value === 'passive' || value === 'test';
+    case 'boolean':     return typeof value === 'boolean';
+    case 'count':       return Number.isFinite(value) && value >= 0;
+    case 'percent':     return Number.isFinite(value) && value >= 0 && value <= 100;
+    case 'tags':        return Array.isArray(value) && value.every(tag => typeof tag === 'string');
+  }
+  return false;
+}
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// { key: count }; a string count would be concatenated, not added, by the
+// reports
+function isCountMap(value) {
+  return isObject(value) && Object.values(value).every(n => isValidField('count', n));
+}
+
+function isTestDetails(test) {
+  return isObject(test) && (test.mode === 'time' || test.mode === 'words') &&
+    isValidField('count', test.length) && isValidField('string', test.source) && isValidField('count', test.errors);
+}
+
+// Counts per bucket: one more entry than there are bucket limits
+function isBucketCounts(value, limits) {
+  return Array.isArray(value) && value.length === limits.length + 1 && value.every(n => isValidField('count', n));
+}
+
+// The session detail view draws the histograms from these, so a malformed
+// rhythm must not get in
+function isRhythm(rhythm) {
+  return isObject(rhythm) &&
+    isBucketCounts(rhythm.burstLengths, BURST_BUCKETS_MS) && isBucketCounts(rhythm.pauses, PAUSE_BUCKETS_MS) &&
+    ['bursts', 'meanBurstMs', 'longestBurstMs', 'meanPauseMs', 'burstWpm'].every(key => isValidField('count', rhythm[key])) &&
+    // null until there are two bursts to compare
+    ['burstWpmSd', 'consistency'].every(key => rhythm[key] === null || isValidField('count', rhythm[key]));
+}
+
+// A speed timeline point: [active seconds, WPM]
+function isSeriesPoint(point) {
+  return Array.isArray(point) && point.length === 2 && point.every(n => Number.isFinite(n) && n >= 0);
+}
+
+// A pause: [start, end] wall-clock ms
+function isPauseInterval(pause) {
+  return Array.isArray(pause) && pause.length === 2 &&
+    pause.every(n => Number.isSafeInteger(n) && n > 0) && pause[0] <= pause[1];
+}
+
+// Returns a clean session object, or null if `raw` does not match the schema
+function normalizeSession(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const session = {};
+  for (const [field, { type, required }] of Object.entries(SESSION_FIELDS)) {
+    let value = raw[field];
+    if (value === undefined || value === null || value === '') {
+      if (required) return null;
+      continue;
+    }
+    // CSV cells arrive as strings
+    if (NUMERIC_TYPES.has(type) && typeof value === 'string') value = Number(value);
+    if (type === 'boolean' && (value === 'true' || value === 'false')) value = value === 'true';
+    if (type === 'tags' && typeof value === 'string') value = parseTags(value);
+    if (!isValidField(type, value)) return null;
+    session[field] = value;
+  }
+  if (session.tags) session.tags = mergeTags(session.tags);
+  if (session.tags?.length === 0) delete session.tags;
+  if (session.note) session.note = normalizeNote(session.note);
+
+  for (const [field, isValid] of Object.entries(SESSION_OBJECT_FIELDS)) {
+    if (isValid(raw[field])) session[field] = raw[field];
+  }
+  if (Array.isArray(raw.series) && raw.series.every(isSeriesPoint)) session.series = raw.series;
+  if (Array.isArray(raw.pauses) && raw.pauses.every(isPauseInterval)) session.pauses = raw.pauses;
+  return session;
+}
+
+// ── Export ───────────────────────────────────────────────────
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  const str = String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function sessionsToCsv(sessions) {
+  const rows = sessions.map(s => CSV_COLUMNS.map(col => csvCell(s[col])).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+function sessionsToJson(sessions) {
+  return JSON.stringify({
+    format:     EXPORT_FORMAT,
+    version:    EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    sessions,
+  }, null, 2);
+}
+
+function downloadFile(filename, text, mimeType) {
+  const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+  const a = document.createElement('a');
+  a.href     = url;
+  a.download = filename;
+  a.click();
+  // Give the download a moment to start before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportSessions(sessions, format) {
+  const stamp = new Date().toISOString().slice(0, 10);
+  if (format === 'csv') {
+    downloadFile(`typing-sessions-${stamp}.csv`, sessionsToCsv(sessions), 'text/csv');
+  } else {
+    downloadFile(`typing-sessions-${stamp}.json`, sessionsToJson(sessions), 'application/json');
+  }
+}
+
+// ── Import ───────────────────────────────────────────────────
+// Minimal RFC 4180 parser: quoted cells, escaped quotes, CRLF or LF rows
+function parseCsv(text) {
+  const rows = [];
+  let row = [], cell = '', quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell); cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row);
+      row = []; cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length > 0) { row.push(cell); rows.push(row); }
+
+  const [header = [], ...body] = rows.filter(r => r.some(c => c !== ''));
+  return body.map(cells => Object.fromEntries(header.map((col, i) => [col.trim(), cells[i]])));
+}
+
+function parseJsonExport(text) {
+  const data = JSON.parse(text);
+  if (Array.isArray(data)) return data;
+  if (data && data.format === EXPORT_FORMAT && Array.isArray(data.sessions)) return data.sessions;
+  throw new Error('Not a Typing Speed Meter export');
+}
+
+// Parses `text` as JSON or CSV (by file name, falling back to sniffing) and
+// splits it against the ids already in history.
+function parseImport(text, filename, existingIds) {
+  const isJson = /\.json$/i.test(filename) || /^\s*[[{]/.test(text);
+  const rows   = isJson ? parseJsonExport(text) : parseCsv(text);
+
+  const seen = new Set(existingIds);
+  const sessions = [];
+  let invalid = 0, duplicates = 0;
+
+  for (const row of rows) {
+    const session = normalizeSession(row);
+    if (!session)               { invalid++;    continue; }
+    if (seen.has(session.id))   { duplicates++; continue; }
+    seen.add(session.id);
+    sessions.push(session);
+  }
+  return { sessions, invalid, duplicates };
+}
@@ -0,0 +1,293 @@
+'use strict';
+
+// The measurement engine: a session's counters and clocks, and the figures
+// derived from them.  Every function works on a plain `state` object and the
+// current settings and takes the time as an argument, so the worker can
+// mirror the state to storage as it is and tests can replay a keystroke
+// timeline without a browser.  Needs shared/metrics.js, shared/keystats.js
+// and shared/rhythm.js.
+
+// WPM timeline: one sample per SAMPLE_INTERVAL_MS of active time.  Long
+// sessions are downsampled so the series never exceeds MAX_SERIES_POINTS.
+const SAMPLE_INTERVAL_MS = 5000;
+const MAX_SERIES_POINTS  = 240;
+
+// Where text that was not typed came from.  It is counted as assisted
+// characters, never toward WPM: 'paste' and 'drop' from the clipboard or a
+// drag, 'replace' a spellcheck or autocomplete suggestion, 'yank' the kill
+// ring, 'insert' whole words inserted without a keystroke (text expanders,
+// inline suggestions, dictation).
+const ASSIST_SOURCES = ['paste', 'drop', 'replace', 'yank', 'insert'];
+
+function createSessionState() {
+  return {
+    isActive:            false,
+    auto:                false,  // started by auto-tracking rather than the popup
+    profile:             null,   // id of the profile the session is filed under
+    unsaved:             false,  // incognito input was measured; the session is not saved
+    pausedAt:            null,   // when the current pause began; null while running
+    pausedMs:            0,      // wall-clock time spent in completed pauses
+    pauses:              [],     // [start, end] wall-clock ms of each completed pause
+    startTime:           null,   // wall-clock time of the first keystroke
+    stopTime:            null,   // wall-clock time measurement was stopped
+    totalChars:          0,      // printable characters typed (no backspaces)
+    unspacedChars:       0,      // of which Chinese / Japanese, one word each
+    backspaces:          0,      // Backspace / Delete presses
+    deletedChars:        0,      // characters removed, including held-key repeats
+    corrections:         0,      // runs of consecutive deletes, one per fix
+    pastedChars:         0,      // Characters pasted — tracked separately, NOT counted toward WPM
+    assistedChars:       0,      // all characters inserted without typing, pastes included
+    assisted:            {},     // source (ASSIST_SOURCES) → assisted characters
+    peakWpm:             0,
+    accumulatedActiveMs: 0,      // ms from fully completed active bursts
+    burstStart:          null,   // start of the current burst; null when idle
+    burstChars:          0,      // characters typed in the current burst
+    burstUnspaced:       0,      // ... of which Chinese / Japanese
+    afterPause:          false,  // the next burst follows a pause, not an idle gap
+    rhythm:              createRhythm(), // burst and idle-gap totals (shared/rhythm.js)
+    lastInputAt:         null,   // time of the most recent input of any kind
+    lastInputKind:       null,   // kind of the previous input, to split delete runs
+    domains:             {},     // hostname → characters typed there
+    tags:                [],     // added by auto-tag rules as input arrives (shared/tags.js)
+    series:              [],     // [active seconds, WPM over the preceding window]
+    sampleIntervalMs:    SAMPLE_INTERVAL_MS,
+    lastSampleMs:        0,      // active time of the previous sample
+    lastSampleChars:     0,      // totalChars at the previous sample
+    lastSampleUnspaced:  0,      // unspacedChars at the previous sample
+    keyStats:            createKeyStats(), // opt-in per-key aggregates for this session
+    lastKey:             null,   // previous key, only while key analytics are on
+  };
+}
+
+// ── Active time ──────────────────────────────────────────────
+// The clock pauses after settings.idleThresholdMs without input.  A timer
+// cannot be trusted to fire in a worker that may be suspended, so bursts are
+// closed lazily from timestamps: a burst ends idleThresholdMs after its last
+// input.
+function settleBurst(state, settings, now) {
+  const idleMs = settings.idleThresholdMs;
+  if (state.burstStart !== null && now - state.lastInputAt >= idleMs) {
+    closeBurst(state, settings, state.lastInputAt + idleMs);
+  }
+}
+
+// Every burst, however it ends, is added to the active time and the rhythm
+function closeBurst(state, settings, end) {
+  if (state.burstStart === null) return;
+  const durationMs = end - state.burstStart;
+  state.accumulatedActiveMs += durationMs;
+  recordBurst(state.rhythm, durationMs, state.burstChars, state.burstUnspaced, settings.charsPerWord);
+  state.burstStart = null;
+}
+
+function openBurst(state, at) {
+  // The idle gap since the previous burst; a pause is the user's, not rhythm
+  if (state.startTime && !state.afterPause) recordPause(state.rhythm, at - state.lastInputAt);
+  state.burstStart    = at;
+  state.burstChars    = 0;
+  state.burstUnspaced = 0;
+  state.afterPause    = false;
+}
+
+function getActiveTimeMs(state, settings, now) {
+  settleBurst(state, settings, now);
+  return state.burstStart !== null
+    ? state.accumulatedActiveMs + (now - state.burstStart)
+    : state.accumulatedActiveMs;
+}
+
+// ── Speed timeline ───────────────────────────────────────────
+// Each sample is the WPM over the window since the previous one, so the
+// curve shows speeding up and slowing down rather than a smoothed average.
+function recordSample(state, settings, activeMs) {
+  const windowMs = activeMs - state.lastSampleMs;
+  if (windowMs <= 0) return;
+  const { wpm } = getSpeed(state.totalChars - state.lastSampleChars, windowMs, settings.charsPerWord,
+    state.unspacedChars - state.lastSampleUnspaced);
+  state.series.push([Math.round(activeMs / 1000), wpm]);
+  state.lastSampleMs       = activeMs;
+  state.lastSampleChars    = state.totalChars;
+  state.lastSampleUnspaced = state.unspacedChars;
+
+  if (state.series.length > MAX_SERIES_POINTS) {
+    // Merge neighbouring samples pairwise and sample half as often from now on
+    const merged = [];
+    for (let i = 0; i < state.series.length; i += 2) {
+      const [a, b = a] = [state.series[i], state.series[i + 1]];
+      merged.push([b[0], Math.round((a[1] + b[1]) / 2)]);
+    }
+    state.series = merged;
+    state.sampleIntervalMs *= 2;
+  }
+}
+
+function maybeSample(state, settings, now) {
+  const activeMs = getActiveTimeMs(state, settings, now);
+  if (activeMs - state.lastSampleMs >= state.sampleIntervalMs) recordSample(state, settings, activeMs);
+}
+
+// ── Input ────────────────────────────────────────────────────
+// Key analytics only keep aggregates (see shared/keystats.js).  A gap is
+// only timed within a burst; across an idle pause it says nothing about the
+// key.  Must run before lastInputAt moves on to this keystroke.
+function recordKey(state, settings, key, at) {
+  if (!settings.keyAnalytics || typeof key !== 'string' || key.length !== 1) {
+    state.lastKey = null;
+    return;
+  }
+  const gap = at - state.lastInputAt;
+  const intervalMs = state.lastKey !== null && state.lastInputKind === 'char' &&
+    gap < settings.idleThresholdMs ? gap : null;
+  recordKeyPress(state.keyStats, key, state.lastKey, intervalMs);
+  state.lastKey = key;
+}
+
+// A 'char' input carries `count` characters of committed text (an IME
+// commits a whole word or phrase at once), `unspaced` of them Chinese or
+// Japanese.  An 'assisted' input carries the `length` and `source` of text
+// that was inserted rather than typed; 'paste' is the same with source
+// 'paste'.  Returns whether the input was counted.
+function recordInput(state, settings, { kind, at = Date.now(), length = 0, repeat = false, domain = 'unknown',
+                                        key = null, count = 1, unspaced = 0, source = 'paste' }) {
+  if (!state.isActive || state.pausedAt !== null) return false;
+  settleBurst(state, settings, at);
+
+  switch (kind) {
+    case 'char':
+      if (!state.startTime) {
+        // First keystroke ever: start both the wall clock and the first burst
+        openBurst(state, at);
+        state.startTime = at;
+      } else if (state.burstStart === null) {
+        // Typing resumes after an idle gap
+        openBurst(state, at);
+      }
+      state.totalChars    += count;
+      state.unspacedChars += Math.min(unspaced, count);
+      state.burstChars    += count;
+      state.burstUnspaced += Math.min(unspaced, count);
+      state.domains[domain] = (state.domains[domain] ?? 0) + count;
+      recordKey(state, settings, count === 1 ? key : null, at);
+      break;
+
+    case 'delete':
+      if (!repeat) state.backspaces++;
+      state.deletedChars++;
+      if (state.lastInputKind !== 'delete') {
+        state.corrections++;
+        if (state.lastKey !== null) recordKeyCorrection(state.keyStats, state.lastKey);
+      }
+      state.lastKey = null;
+      break;
+
+    case 'paste':
+    case 'assisted': {
+      const from = kind === 'paste' ? 'paste' : source;
+      if (length <= 0 || !ASSIST_SOURCES.includes(from)) return false;
+      if (from === 'paste') state.pastedChars += length;
+      state.assistedChars += length;
+      state.assisted[from] = (state.assisted[from] ?? 0) + length;
+      state.lastKey = null;
+      break;
+    }
+
+    default:
+      return false;
+  }
+
+  // Any counted input keeps the idle clock alive
+  state.lastInputAt   = at;
+  state.lastInputKind = kind;
+  // Sample only after lastInputAt is current, or settleBurst would close the
+  // burst that this very keystroke opened
+  if (kind === 'char') maybeSample(state, settings, at);
+  return true;
+}
+
+// ── Pausing and stopping ─────────────────────────────────────
+// A pause freezes both clocks: the open burst is closed where the pause
+// begins, input is ignored, and the pause is left out of wall-clock elapsed.
+function pauseClocks(state, settings, now) {
+  settleBurst(state, settings, now);
+  closeBurst(state, settings, now);
+  state.pausedAt   = now;
+  state.afterPause = true;
+}
+
+function endPause(state, now) {
+  if (state.pausedAt === null) return;
+  // Before the first keystroke there is no elapsed time to take it from
+  if (state.startTime) {
+    state.pausedMs += now - state.pausedAt;
+    state.pauses.push([state.pausedAt, now]);
+  }
+  state.pausedAt = null;
+}
+
+// Finalizes the clocks and the timeline when measurement stops at `now`
+function stopClocks(state, settings, now) {
+  endPause(state, now);
+  state.isActive = false;
+  state.stopTime = state.startTime ? now : null;
+
+  settleBurst(state, settings, now);
+  closeBurst(state, settings, now);
+  // Close the timeline with whatever partial window is left
+  if (state.accumulatedActiveMs - state.lastSampleMs >= 1000) recordSample(state, settings, state.accumulatedActiveMs);
+}
+
+// An auto-tracked session ends itself after settings.autoStopIdleMinutes
+function isAutoIdle(state, settings, now) {
+  return state.isActive && state.auto && state.pausedAt === null && state.lastInputAt !== null &&
+    now - state.lastInputAt >= settings.autoStopIdleMinutes * 60_000;
+}
+
+// ── Stats snapshot ───────────────────────────────────────────
+function getSessionStats(state, settings, now) {
+  const activeMs = getActiveTimeMs(state, settings, now);
+
+  // Definitions live in shared/metrics.js so the typing test matches them
+  const { wpm, cpm } = getSpeed(state.totalChars, activeMs, settings.charsPerWord, state.unspacedChars);
+  const quality      = getQuality(state.totalChars, state.deletedChars, activeMs, 0,
+                                  settings.charsPerWord, state.unspacedChars);
+
+  if (wpm > state.peakWpm) state.peakWpm = wpm;
+
+  // Wall-clock elapsed (for the footer "Elapsed" display), paused time excluded
+  let wallElapsed = 0;
+  if (state.startTime) {
+    const end    = state.isActive ? now : (state.stopTime ?? now);
+    const paused = state.pausedMs + (state.pausedAt !== null ? end - state.pausedAt : 0);
+    wallElapsed = Math.max(0, Math.floor((end - state.startTime - paused) / 1000));
+  }
+
+  return {
+    isActive:     state.isActive,
+    isAuto:       state.auto,
+    isPaused:     state.pausedAt !== null,
+    wpm,
+    cpm,
+    ...quality,                              // netWpm, accuracy, correctionRatio
+    totalChars:   state.totalChars,
+    unspacedChars: state.unspacedChars,
+    backspaces:   state.backspaces,
+    deletedChars: state.deletedChars,
+    corrections:  state.corrections,
+    pastedChars:  state.pastedChars,
+    assistedChars: state.assistedChars,
+    assisted:     { ...state.assisted },     // assisted characters by source
+    elapsedTime:  wallElapsed,               // wall clock seconds (for "Elapsed" chip)
+    activeTime:   Math.floor(activeMs / 1000), // net active seconds (for session storage)
+    peakWpm:      state.peakWpm,
+    hasData:      state.startTime !== null,
+  };
+}
+
+// The domain a multi-tab session is filed under is wherever most of it was typed
+function primaryDomain(domains) {
+  let best = 'unknown', bestChars = 0;
+  for (const [domain, chars] of Object.entries(domains)) {
+    if (chars > bestChars) { best = domain; bestChars = chars; }
+  }
+  return best;
+}
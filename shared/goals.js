@@ -0,0 +1,83 @@
+'use strict';
+
+// Daily goals and streaks, computed from session history so there is no
+// separate counter to drift out of sync.  Used by the worker (notifications
+// and the evening reminder) and the popup (progress ring).  Needs
+// shared/history.js for weightedWpm() and periodStart().
+
+// Sessions shorter than this never set a personal best: a few seconds of
+// fast typing is not a meaningful record.
+const RECORD_MIN_SECONDS = 30;
+
+// Goals with a target of 0 are switched off
+function enabledGoals(settings) {
+  return [
+    { id: 'minutes', label: 'Minutes typed', target: settings.goalMinutes },
+    { id: 'wpm',     label: 'Average WPM',   target: settings.goalWpm },
+    { id: 'tests',   label: 'Typing tests',  target: settings.goalTests },
+  ].filter(goal => goal.target > 0);
+}
+
+// Progress for one day's sessions.  `fraction` (0–1) averages each goal's
+// progress, capped at 1; `met` is true once every goal is reached.  With no
+// goals set, any typing counts as meeting the day.
+function dailyProgress(sessions, settings) {
+  const values = {
+    minutes: Math.floor(sessions.reduce((sum, s) => sum + (s.duration || 0), 0) / 60),
+    wpm:     weightedWpm(sessions),
+    tests:   sessions.filter(s => s.type === 'test').length,
+  };
+  const goals = enabledGoals(settings).map(goal => ({
+    ...goal,
+    value: values[goal.id],
+    met:   values[goal.id] >= goal.target,
+  }));
+  if (goals.length === 0) {
+    const typed = sessions.length > 0;
+    return { goals, fraction: typed ? 1 : 0, met: typed };
+  }
+  const fraction = goals.reduce((sum, g) => sum + Math.min(1, g.value / g.target), 0) / goals.length;
+  return { goals, fraction, met: goals.every(g => g.met) };
+}
+
+// Consecutive days with every goal met.  Today only adds to the current
+// streak once it is met; until then the streak runs to yesterday.
+function computeStreak(sessions, settings, now = Date.now()) {
+  const byDay = new Map();
+  for (const s of sessions) {
+    const day = periodStart(Date.parse(s.timestamp), 'day');
+    if (!byDay.has(day)) byDay.set(day, []);
+    byDay.get(day).push(s);
+  }
+  const metDays = new Set([...byDay]
+    .filter(([, daySessions]) => dailyProgress(daySessions, settings).met)
+    .map(([day]) => day));
+
+  // Days are stepped by calendar date, not 24 hours, so DST changes are safe
+  const previousDay = day => { const d = new Date(day); d.setDate(d.getDate() - 1); return d.getTime(); };
+
+  let current = 0;
+  let day = periodStart(now, 'day');
+  if (!metDays.has(day)) day = previousDay(day);
+  while (metDays.has(day)) {
+    current++;
+    day = previousDay(day);
+  }
+
+  let longest = 0, run = 0, last = null;
+  for (const d of [...metDays].sort((a, b) => a - b)) {
+    run  = last !== null && previousDay(d) === last ? run + 1 : 1;
+    last = d;
+    longest = Math.max(longest, run);
+  }
+  return { current, longest };
+}
+
+// The next time the clock shows `hhmm` ("20:00"), as a timestamp
+function nextTimeOfDay(hhmm, now = Date.now()) {
+  const [hours, minutes] = hhmm.split(':').map(Number);
+  const next = new Date(now);
+  next.setHours(hours, minutes, 0, 0);
+  if (next.getTime() <= now) next.setDate(next.getDate() + 1);
+  return next.getTime();
+}
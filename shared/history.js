@@ -0,0 +1,237 @@
+'use strict';
+
+// Session history store, shared by the service worker (which files finished
+// sessions) and the popup (which lists, filters and deletes them).  History
+// lives in IndexedDB so it is not limited by chrome.storage quotas; sessions
+// that older versions kept in chrome.storage.local are migrated the first
+// time the database is opened.
+
+const HISTORY_DB_NAME    = 'typing-speed-meter';
+const HISTORY_DB_VERSION = 1;
+const SESSION_STORE      = 'sessions';
+
+let historyDb = null;   // Promise<IDBDatabase>, opened lazily once per context
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror   = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onabort    = () => reject(tx.error);
+    tx.onerror    = () => reject(tx.error);
+  });
+}
+
+function openHistory() {
+  if (historyDb) return historyDb;
+
+  const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+  request.onupgradeneeded = () => {
+    const store = request.result.createObjectStore(SESSION_STORE, { keyPath: 'id' });
+    store.createIndex('timestamp', 'timestamp');
+    store.createIndex('domain',    'domain');
+  };
+
+  historyDb = requestToPromise(request).then(migrateLegacySessions);
+  // Let a later call retry instead of caching the failure forever
+  historyDb.catch(() => { historyDb = null; });
+  return historyDb;
+}
+
+// Move the capped `sessions` array from chrome.storage.local into IndexedDB.
+// put() is keyed by id, so running this twice (popup and worker racing) is
+// harmless.
+async function migrateLegacySessions(db) {
+  const { sessions } = await chrome.storage.local.get('sessions');
+  if (!Array.isArray(sessions) || sessions.length === 0) return db;
+
+  const tx = db.transaction(SESSION_STORE, 'readwrite');
+  for (const session of sessions) tx.objectStore(SESSION_STORE).put(session);
+  await transactionDone(tx);
+  await chrome.storage.local.remove('sessions');
+  return db;
+}
+
+// ── Reads and writes ─────────────────────────────────────────
+async function putSessions(sessions) {
+  const db = await openHistory();
+  const tx = db.transaction(SESSION_STORE, 'readwrite');
+  for (const session of sessions) tx.objectStore(SESSION_STORE).put(session);
+  await transactionDone(tx);
+}
+
+function addSession(session) {
+  return putSessions([session]);
+}
+
+// All sessions, newest first
+async function getSessions() {
+  const db = await openHistory();
+  const tx = db.transaction(SESSION_STORE, 'readonly');
+  const sessions = await requestToPromise(tx.objectStore(SESSION_STORE).index('timestamp').getAll());
+  return sessions.reverse();
+}
+
+// One session by id, or null
+async function getSession(id) {
+  const db = await openHistory();
+  const tx = db.transaction(SESSION_STORE, 'readonly');
+  return (await requestToPromise(tx.objectStore(SESSION_STORE).get(id))) ?? null;
+}
+
+// Sessions saved at or after `time` (ms), newest first
+async function getSessionsSince(time) {
+  const db = await openHistory();
+  const tx = db.transaction(SESSION_STORE, 'readonly');
+  const range = IDBKeyRange.lowerBound(new Date(time).toISOString());
+  const sessions = await requestToPromise(tx.objectStore(SESSION_STORE).index('timestamp').getAll(range));
+  return sessions.reverse();
+}
+
+// Every session id, without reading the sessions themselves
+async function getSessionIds() {
+  const db = await openHistory();
+  const tx = db.transaction(SESSION_STORE, 'readonly');
+  return requestToPromise(tx.objectStore(SESSION_STORE).getAllKeys());
+}
+
+async function deleteSessions(ids) {
+  const db = await openHistory();
+  const tx = db.transaction(SESSION_STORE, 'readwrite');
+  for (const id of ids) tx.objectStore(SESSION_STORE).delete(id);
+  await transactionDone(tx);
+}
+
+function deleteSession(id) {
+  return deleteSessions([id]);
+}
+
+// Deletes the oldest sessions beyond `limit`; a limit of 0 keeps everything
+async function trimHistory(limit) {
+  if (!limit) return;
+  const db = await openHistory();
+  const tx = db.transaction(SESSION_STORE, 'readwrite');
+  const index = tx.objectStore(SESSION_STORE).index('timestamp');
+  let excess = (await requestToPromise(index.count())) - limit;
+  if (excess > 0) {
+    // Walk oldest-first, deleting until only `limit` remain
+    index.openCursor().onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor || excess-- <= 0) return;
+      cursor.delete();
+      cursor.continue();
+    };
+  }
+  await transactionDone(tx);
+}
+
+// Deletes every session saved before `time` (ms) and returns how many
+async function deleteSessionsBefore(time) {
+  const db = await openHistory();
+  const tx = db.transaction(SESSION_STORE, 'readwrite');
+  const range = IDBKeyRange.upperBound(new Date(time).toISOString(), true);
+  let deleted = 0;
+  tx.objectStore(SESSION_STORE).index('timestamp').openCursor(range).onsuccess = (e) => {
+    const cursor = e.target.result;
+    if (!cursor) return;
+    cursor.delete();
+    deleted++;
+    cursor.continue();
+  };
+  await transactionDone(tx);
+  return deleted;
+}
+
+async function clearSessions() {
+  const db = await openHistory();
+  const tx = db.transaction(SESSION_STORE, 'readwrite');
+  tx.objectStore(SESSION_STORE).clear();
+  await transactionDone(tx);
+}
+
+// ── Filtering and aggregates ─────────────────────────────────
+const SESSION_SORTS = {
+  newest:   (a, b) => b.timestamp.localeCompare(a.timestamp),
+  oldest:   (a, b) => a.timestamp.localeCompare(b.timestamp),
+  wpm:      (a, b) => b.avgWPM   - a.avgWPM,
+  duration: (a, b) => b.duration - a.duration,
+};
+
+// `from` / `to` are inclusive YYYY-MM-DD dates in local time; `query` is a
+// case-insensitive substring of the domain or the note; `tag` is one of the
+// session's tags.  Empty criteria match everything.
+function filterSessions(sessions, { domain = '', query = '', tag = '', from = '', to = '', sort = 'newest' } = {}) {
+  const fromMs = from ? new Date(`${from}T00:00:00`).getTime()     : -Infinity;
+  const toMs   = to   ? new Date(`${to}T23:59:59.999`).getTime()   :  Infinity;
+  const needle = query.trim().toLowerCase();
+
+  return sessions
+    .filter(s => {
+      if (domain && s.domain !== domain) return false;
+      if (tag && !s.tags?.includes(tag)) return false;
+      if (needle && !`${s.domain}\n${s.note ?? ''}`.toLowerCase().includes(needle)) return false;
+      const t = new Date(s.timestamp).getTime();
+      return t >= fromMs && t <= toMs;
+    })
+    .sort(SESSION_SORTS[sort] ?? SESSION_SORTS.newest);
+}
+
+// Average WPM is weighted by active time, so one ten-second burst cannot
+// outweigh an hour of steady typing.  Weighting each session's own WPM
+// (rather than re-deriving it from characters) keeps whatever chars-per-word
+// definition that session was measured with.
+function weightedWpm(sessions) {
+  let weighted = 0, secs = 0;
+  for (const s of sessions) {
+    weighted += (s.avgWPM || 0) * (s.duration || 0);
+    secs     += s.duration || 0;
+  }
+  return secs > 0 ? Math.round(weighted / secs) : 0;
+}
+
+function summarizeSessions(sessions) {
+  let activeSecs = 0, chars = 0, best = null;
+  for (const s of sessions) {
+    activeSecs += s.duration   || 0;
+    chars      += s.totalChars || 0;
+    if (!best || s.avgWPM > best.avgWPM) best = s;
+  }
+  return {
+    count:      sessions.length,
+    activeTime: activeSecs,
+    totalChars: chars,
+    avgWPM:     weightedWpm(sessions),
+    best,
+  };
+}
+
+function sessionDomains(sessions) {
+  return [...new Set(sessions.map(s => s.domain))].sort();
+}
+
+// Local-time start of the day, (Monday-based) week or month containing `time`
+function periodStart(time, unit) {
+  const d = new Date(time);
+  d.setHours(0, 0, 0, 0);
+  if (unit === 'week')  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  if (unit === 'month') d.setDate(1);
+  return d.getTime();
+}
+
+// Time-weighted average WPM per day or week, oldest first
+function averageByPeriod(sessions, unit) {
+  const periods = new Map();
+  for (const s of sessions) {
+    const key = periodStart(s.timestamp, unit);
+    if (!periods.has(key)) periods.set(key, []);
+    periods.get(key).push(s);
+  }
+  return [...periods.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([start, group]) => ({ start, ...summarizeSessions(group) }));
+}
@@ -0,0 +1,96 @@
+'use strict';
+
+// Opt-in per-key analytics.  Only aggregate histograms are kept: how often
+// each key was pressed, the summed interval leading up to it (alone and as
+// the second key of a pair), and how often it was the last key before a
+// Backspace.  Nothing here can be read back as a text sequence.  The worker
+// collects a session's aggregates in its state and folds them into the
+// lifetime totals in chrome.storage.local when the session ends, one set of
+// totals per profile (profileStorageKey in shared/settings.js).
+
+const KEY_STATS_KEY         = 'keyStats';
+const KEY_STATS_MIN_SAMPLES = 5;   // fewer intervals than this are too noisy to rank
+
+function createKeyStats() {
+  return {
+    keys:    {},   // key  → { count, intervalMs, intervals, corrections }
+    bigrams: {},   // pair → { intervalMs, intervals }
+  };
+}
+
+// `intervalMs` is the gap since `prevKey`, or null when there is no usable
+// gap (first key of a burst, or after a correction or paste).
+function recordKeyPress(stats, key, prevKey, intervalMs) {
+  const entry = stats.keys[key] ??= { count: 0, intervalMs: 0, intervals: 0, corrections: 0 };
+  entry.count++;
+  if (intervalMs === null || prevKey === null) return;
+  entry.intervalMs += intervalMs;
+  entry.intervals++;
+
+  const pair = stats.bigrams[prevKey + key] ??= { intervalMs: 0, intervals: 0 };
+  pair.intervalMs += intervalMs;
+  pair.intervals++;
+}
+
+// `key` was the last key typed before a Backspace / Delete
+function recordKeyCorrection(stats, key) {
+  const entry = stats.keys[key];
+  if (entry) entry.corrections++;
+}
+
+function mergeKeyStats(target, source) {
+  for (const [key, s] of Object.entries(source.keys ?? {})) {
+    const t = target.keys[key] ??= { count: 0, intervalMs: 0, intervals: 0, corrections: 0 };
+    t.count       += s.count;
+    t.intervalMs  += s.intervalMs;
+    t.intervals   += s.intervals;
+    t.corrections += s.corrections;
+  }
+  for (const [pair, s] of Object.entries(source.bigrams ?? {})) {
+    const t = target.bigrams[pair] ??= { intervalMs: 0, intervals: 0 };
+    t.intervalMs += s.intervalMs;
+    t.intervals  += s.intervals;
+  }
+  return target;
+}
+
+function hasKeyStats(stats) {
+  return Object.keys(stats.keys).length > 0;
+}
+
+// ── Storage ──────────────────────────────────────────────────
+async function loadKeyStats(profile) {
+  const key = profileStorageKey(KEY_STATS_KEY, profile);
+  const { [key]: saved } = await chrome.storage.local.get(key);
+  return mergeKeyStats(createKeyStats(), saved ?? {});
+}
+
+async function addKeyStats(sessionStats, profile) {
+  const totals = mergeKeyStats(await loadKeyStats(profile), sessionStats);
+  await chrome.storage.local.set({ [profileStorageKey(KEY_STATS_KEY, profile)]: totals });
+  return totals;
+}
+
+function clearKeyStats(profile) {
+  return chrome.storage.local.remove(profileStorageKey(KEY_STATS_KEY, profile));
+}
+
+// ── Summaries ────────────────────────────────────────────────
+// Per-key figures for the heatmap.  meanMs is null until the key has
+// KEY_STATS_MIN_SAMPLES intervals.
+function summarizeKeys(stats) {
+  return Object.entries(stats.keys).map(([key, s]) => ({
+    key,
+    count:       s.count,
+    meanMs:      s.intervals >= KEY_STATS_MIN_SAMPLES ? Math.round(s.intervalMs / s.intervals) : null,
+    correctRate: s.count > 0 ? s.corrections / s.count : 0,
+  }));
+}
+
+function slowestBigrams(stats, limit = 5) {
+  return Object.entries(stats.bigrams)
+    .filter(([, s]) => s.intervals >= KEY_STATS_MIN_SAMPLES)
+    .map(([pair, s]) => ({ pair, meanMs: Math.round(s.intervalMs / s.intervals) }))
+    .sort((a, b) => b.meanMs - a.meanMs)
+    .slice(0, limit);
+}
@@ -0,0 +1,71 @@
+'use strict';
+
+// Speed and accuracy definitions shared by the live engine (background.js)
+// and the typing test page, so in-the-wild and test numbers line up.  Both
+// pass the user's `charsPerWord` setting; 5 is the standard definition.
+
+const CHARS_PER_WORD = 5;
+
+// Chinese and Japanese are written without spaces between words, and their
+// speed is conventionally quoted in characters per minute.  A character in
+// these scripts therefore counts as a whole word, so WPM equals CPM for pure
+// Chinese or Japanese text.  Korean separates words with spaces and is
+// counted like Latin text.
+const UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/gu;
+
+function countUnspacedChars(text) {
+  return text.match(UNSPACED_SCRIPT)?.length ?? 0;
+}
+
+// Words typed, given how many of `chars` are from unspaced scripts
+function wordCount(chars, charsPerWord = CHARS_PER_WORD, unspacedChars = 0) {
+  return (chars - unspacedChars) / charsPerWord + unspacedChars;
+}
+
+// Gross speed over `activeMs` of typing.
+//   WPM = (chars / 5) / active-minutes, unspaced characters counting as words
+//   CPM = chars / active-minutes
+function getSpeed(chars, activeMs, charsPerWord = CHARS_PER_WORD, unspacedChars = 0) {
+  const mins = activeMs / 60_000;
+  return {
+    wpm: mins > 0 ? Math.round(wordCount(chars, charsPerWord, unspacedChars) / mins) : 0,
+    cpm: mins > 0 ? Math.round(chars / mins)                                      : 0,
+  };
+}
+
+// Every deleted character is assumed to undo one typed character, so the
+// characters that survive are what a net-WPM figure is based on.  Passive
+// measurement cannot see uncorrected mistakes; the typing test can, and
+// passes them in so they are subtracted too.  Deletions are spread evenly
+// over spaced and unspaced characters.
+//   Net WPM          = ((chars - deleted - uncorrected) / 5) / active-minutes
+//   Accuracy         = surviving chars / typed chars
+//   Correction ratio = share of all keystrokes spent deleting
+function getQuality(totalChars, deletedChars, activeMs, uncorrectedErrors = 0,
+                    charsPerWord = CHARS_PER_WORD, unspacedChars = 0) {
+  const mins       = activeMs / 60_000;
+  const kept       = Math.max(0, totalChars - deletedChars - uncorrectedErrors);
+  const keystrokes = totalChars + deletedChars;
+  const keptWords  = totalChars > 0 ? wordCount(totalChars, charsPerWord, unspacedChars) * (kept / totalChars) : 0;
+  return {
+    netWpm:          mins > 0 ? Math.round(keptWords / mins)                  : 0,
+    accuracy:        totalChars > 0 ? Math.round((kept / totalChars) * 100)      : 100,
+    correctionRatio: keystrokes > 0 ? Math.round((deletedChars / keystrokes) * 100) : 0,
+  };
+}
+
+// How steady a series of speed samples is, as a percentage: 100 minus the
+// coefficient of variation.  A perfectly even typist scores 100.
+function getConsistency(samples) {
+  if (samples.length < 2) return 100;
+  const mean = samples.reduce((sum, x) => sum + x, 0) / samples.length;
+  const variance = samples.reduce((sum, x) => sum + (x - mean) ** 2, 0) / samples.length;
+  return consistencyScore(mean, variance);
+}
+
+// 100 minus the coefficient of variation as a percentage, clamped to 0–100
+function consistencyScore(mean, variance) {
+  if (mean === 0) return 0;
+  const cv = Math.sqrt(variance) / mean;
+  return Math.max(0, Math.min(100, Math.round(100 - cv * 100)));
+}
@@ -0,0 +1,53 @@
+'use strict';
+
+// Privacy safeguards that apply to what is saved: private sites are filed
+// under a label instead of their name, and history older than the retention
+// period is deleted.  Which fields and tabs are measured at all is decided by
+// the content script and the worker.  Loaded by the service worker and the
+// popup; needs shared/settings.js.
+
+const PRIVACY_SALT_KEY   = 'privacySalt';    // chrome.storage.local
+const PRIVATE_SITE_LABEL = 'Private site';
+const DAY_MS             = 86_400_000;
+
+// ── Private sites ────────────────────────────────────────────
+// A random salt kept in this browser only, so hashed labels cannot be
+// reversed by hashing a list of well-known domains
+async function loadPrivacySalt() {
+  const { [PRIVACY_SALT_KEY]: saved } = await chrome.storage.local.get(PRIVACY_SALT_KEY);
+  if (saved) return saved;
+  const salt = crypto.randomUUID();
+  await chrome.storage.local.set({ [PRIVACY_SALT_KEY]: salt });
+  return salt;
+}
+
+// 32-bit FNV-1a, as 8 hex digits.  Input is recorded synchronously, so there
+// is no time for crypto.subtle.
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash  = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// The name a site is saved under: its hostname, or for a private site one
+// shared label or, with privateLabel 'hashed', a label of its own that keeps
+// private sites apart in reports without naming them
+function recordedDomain(settings, hostname, salt) {
+  if (!isSitePrivate(settings, hostname)) return hostname;
+  return settings.privateLabel === 'hashed' ? `private-${fnv1a(`${salt}:${hostname.toLowerCase()}`)}` : PRIVATE_SITE_LABEL;
+}
+
+// ── Retention ────────────────────────────────────────────────
+// Sessions saved before this time (ms) are deleted; 0 while history is kept
+// for good
+function retentionCutoff(settings, now = Date.now()) {
+  return settings.retentionDays > 0 ? now - settings.retentionDays * DAY_MS : 0;
+}
+
+function purgeExpiredSessions(settings) {
+  const cutoff = retentionCutoff(settings);
+  return cutoff ? deleteSessionsBefore(cutoff) : Promise.resolve(0);
+}
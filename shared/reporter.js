@@ -0,0 +1,159 @@
+'use strict';
+
+// Opt-in team reporting.  After each saved session the worker queues an
+// anonymised summary (when, how long, how fast, how accurate; the site only
+// if allowed) and POSTs it to the URL set on the options page.  The same URL
+// answers GET with the team leaderboard shown on the popup's Team tab.  The
+// body formats are in tools/report-schema.json, and tools/report-server.js
+// is a server that speaks them.  Needs shared/settings.js.
+
+const REPORT_FORMAT          = 'typing-speed-meter-report';
+const LEADERBOARD_FORMAT     = 'typing-speed-meter-leaderboard';
+const REPORT_VERSION         = 1;
+const REPORT_QUEUE_KEY       = 'reportQueue';   // chrome.storage.local
+const REPORTER_ID_KEY        = 'reporterId';    // chrome.storage.local, per profile
+const REPORT_QUEUE_LIMIT     = 500;             // the oldest unsent reports are dropped beyond this
+const REPORT_BATCH_SIZE      = 50;
+const REPORT_TIMEOUT_MS      = 15_000;
+const REPORT_BACKOFF_MINUTES = [1, 2, 4, 8, 15, 30, 60];   // then hourly
+
+// ── Reporter identity ────────────────────────────────────────
+// A random id per profile, so the server can tell typists apart without
+// knowing who they are.  It never leaves this browser except in reports.
+function loadReporterId(profile) {
+  const key = profileStorageKey(REPORTER_ID_KEY, profile);
+  return chrome.storage.local.get(key).then(({ [key]: saved }) => saved ?? null);
+}
+
+async function getReporterId(profile) {
+  const saved = await loadReporterId(profile);
+  if (saved) return saved;
+  const id = crypto.randomUUID();
+  await chrome.storage.local.set({ [profileStorageKey(REPORTER_ID_KEY, profile)]: id });
+  return id;
+}
+
+// The profile's name if the user chose to share names, otherwise null
+function reporterName(profile, settings) {
+  if (!settings.reportNames) return null;
+  const id = profile ?? DEFAULT_PROFILE_ID;
+  return settings.profiles.find(p => p.id === id)?.name.slice(0, 40) ?? null;
+}
+
+// ── Summaries ────────────────────────────────────────────────
+function summarizeForReport(session, settings) {
+  const summary = {
+    id:        session.id,
+    timestamp: session.timestamp,
+    type:      session.type,
+    duration:  session.duration,
+    wpm:       session.avgWPM,
+    chars:     session.totalChars,
+  };
+  if (Number.isFinite(session.netWPM))   summary.netWpm   = session.netWPM;
+  if (Number.isFinite(session.accuracy)) summary.accuracy = session.accuracy;
+  if (settings.reportDomains && session.domain) summary.domain = session.domain;
+  return summary;
+}
+
+// ── Queue ────────────────────────────────────────────────────
+// { items: [{ reporter, session }], attempts, retryAt } in local storage, so
+// reports wait out a suspended worker or a closed browser.  Updates run one
+// at a time, a send included, so a save during a send is not lost.
+let reportQueueChain = Promise.resolve();
+
+function updateReportQueue(update) {
+  const next = reportQueueChain.then(async () => {
+    const { [REPORT_QUEUE_KEY]: saved } = await chrome.storage.local.get(REPORT_QUEUE_KEY);
+    const queue  = { items: [], attempts: 0, retryAt: null, ...saved };
+    const result = await update(queue);
+    await chrome.storage.local.set({ [REPORT_QUEUE_KEY]: queue });
+    return result;
+  });
+  reportQueueChain = next.catch(() => {});
+  return next;
+}
+
+function enqueueReport(session, settings) {
+  return updateReportQueue(async queue => {
+    const reporter = { id: await getReporterId(session.profile), name: reporterName(session.profile, settings) };
+    queue.items.push({ reporter, session: summarizeForReport(session, settings) });
+    if (queue.items.length > REPORT_QUEUE_LIMIT) queue.items.splice(0, queue.items.length - REPORT_QUEUE_LIMIT);
+  });
+}
+
+function pendingReports() {
+  return chrome.storage.local.get(REPORT_QUEUE_KEY).then(({ [REPORT_QUEUE_KEY]: saved }) => saved?.items.length ?? 0);
+}
+
+// Reporting switched off: whatever was not sent yet is not sent at all
+function clearReportQueue() {
+  return updateReportQueue(queue => {
+    Object.assign(queue, { items: [], attempts: 0, retryAt: null });
+  });
+}
+
+function reportBackoffMs(attempts) {
+  return REPORT_BACKOFF_MINUTES[Math.min(attempts, REPORT_BACKOFF_MINUTES.length) - 1] * 60_000;
+}
+
+// ── Sending ──────────────────────────────────────────────────
+// 'sent'; 'rejected' if the server refused the batch, which would only be
+// refused again; or 'retry' when offline, timed out or the server failed
+async function postReports(url, items) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method:  'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify({ format: REPORT_FORMAT, version: REPORT_VERSION, reports: items }),
+      signal:  AbortSignal.timeout(REPORT_TIMEOUT_MS),
+    });
+  } catch {
+    return 'retry';
+  }
+  if (response.ok) return 'sent';
+  const { status } = response;
+  return status >= 400 && status < 500 && status !== 408 && status !== 429 ? 'rejected' : 'retry';
+}
+
+// Sends the queue to `url` in batches.  Returns when to try again if
+// reports are still waiting, otherwise null.  Until then only `force`
+// (a new URL, say) sends early.
+function flushReports(url, { force = false } = {}) {
+  return updateReportQueue(async queue => {
+    if (!force && queue.retryAt > Date.now()) return queue.retryAt;
+    while (queue.items.length) {
+      const batch = queue.items.slice(0, REPORT_BATCH_SIZE);
+      if (await postReports(url, batch) === 'retry') {
+        queue.attempts += 1;
+        queue.retryAt   = Date.now() + reportBackoffMs(queue.attempts);
+        return queue.retryAt;
+      }
+      queue.items.splice(0, batch.length);
+      queue.attempts = 0;
+      queue.retryAt  = null;
+    }
+    return null;
+  });
+}
+
+// ── Leaderboard ──────────────────────────────────────────────
+// [{ id, name, sessions, activeTime, wpm, accuracy }], best first.  Throws
+// if the server cannot be reached or does not answer with a leaderboard.
+async function fetchLeaderboard(url, period) {
+  const target = new URL(url);
+  target.searchParams.set('period', period);
+  let response;
+  try {
+    response = await fetch(target.href, { signal: AbortSignal.timeout(REPORT_TIMEOUT_MS) });
+  } catch {
+    throw new Error('The server could not be reached');
+  }
+  if (!response.ok) throw new Error(`The server answered ${response.status}`);
+  const body = await response.json();
+  if (body?.format !== LEADERBOARD_FORMAT || !Array.isArray(body.entries)) {
+    throw new Error('The server did not send a leaderboard');
+  }
+  return body.entries;
+}
@@ -0,0 +1,88 @@
+'use strict';
+
+// Per-domain and per-app reports: where writing time went in a day, week or
+// month.  Domains can be folded into user-defined groups ("Email" =
+// mail.google.com + outlook.office.com) from the options page.  Needs
+// shared/settings.js for matchesDomain() and shared/history.js for
+// periodStart().
+
+const REPORT_UNITS = ['day', 'week', 'month'];
+
+// The group a domain is reported under: the first group with a matching
+// pattern, or the domain itself
+function reportGroupFor(domain, groups) {
+  const group = groups.find(g => g.domains.some(p => matchesDomain(domain, p)));
+  return group ? group.name : domain;
+}
+
+// Start of the period `steps` periods after the one starting at `start`.
+// Steps by calendar date, so DST changes are safe.
+function shiftPeriod(start, unit, steps) {
+  const d = new Date(start);
+  if (unit === 'month') d.setMonth(d.getMonth() + steps);
+  else d.setDate(d.getDate() + steps * (unit === 'week' ? 7 : 1));
+  return d.getTime();
+}
+
+// A session typed across several sites is split between them by the share
+// of characters typed on each, so its time is not all filed under one.
+function sessionShares(session) {
+  const entries = Object.entries(session.domains ?? {}).filter(([, chars]) => chars > 0);
+  const total   = entries.reduce((sum, [, chars]) => sum + chars, 0);
+  if (entries.length < 2 || total === 0) return [[session.domain, 1]];
+  return entries.map(([domain, chars]) => [domain, chars / total]);
+}
+
+function createReportRow(name) {
+  return { name, domains: new Set(), sessions: new Set(), activeTime: 0, totalChars: 0,
+           pastedChars: 0, backspaces: 0, weightedWpm: 0 };
+}
+
+function addToReportRow(row, session, domain, share) {
+  const secs = (session.duration || 0) * share;
+  row.domains.add(domain);
+  row.sessions.add(session.id);   // a session split across a group's domains counts once
+  row.activeTime  += secs;
+  row.totalChars  += (session.totalChars  || 0) * share;
+  row.pastedChars += (session.pastedChars || 0) * share;
+  row.backspaces  += (session.backspaces  || 0) * share;
+  row.weightedWpm += (session.avgWPM || 0) * secs;
+}
+
+// Ratios are percentages: paste ratio of all text entered, backspace ratio
+// of all keystrokes (the same definition as a session's correction ratio).
+function finishReportRow(row) {
+  const percent = (part, whole) => whole > 0 ? Math.round(part / whole * 100) : 0;
+  return {
+    name:           row.name,
+    domains:        [...row.domains].sort(),
+    sessions:       row.sessions.size,
+    activeTime:     Math.round(row.activeTime),
+    totalChars:     Math.round(row.totalChars),
+    avgWPM:         row.activeTime > 0 ? Math.round(row.weightedWpm / row.activeTime) : 0,
+    pasteRatio:     percent(row.pastedChars, row.totalChars + row.pastedChars),
+    backspaceRatio: percent(row.backspaces,  row.totalChars + row.backspaces),
+  };
+}
+
+// One row per group, most active time first
+function buildReport(sessions, groups = []) {
+  const rows = new Map();
+  for (const s of sessions) {
+    for (const [domain, share] of sessionShares(s)) {
+      const name = reportGroupFor(domain, groups);
+      if (!rows.has(name)) rows.set(name, createReportRow(name));
+      addToReportRow(rows.get(name), s, domain, share);
+    }
+  }
+  return [...rows.values()]
+    .map(finishReportRow)
+    .sort((a, b) => b.activeTime - a.activeTime || b.totalChars - a.totalChars);
+}
+
+// The same figures for every session together
+function reportTotals(sessions) {
+  const row = createReportRow('Total');
+  for (const s of sessions) addToReportRow(row, s, s.domain, 1);
+  return finishReportRow(row);
+}
@@ -0,0 +1,77 @@
+'use strict';
+
+// Typing rhythm: how a session's active time breaks into bursts, how long
+// the pauses between them are, and how steady the speed is from one burst
+// to the next.  This tells a slow typist from a stop-start one.  The worker
+// keeps running totals in its state (nothing per keystroke), and
+// summarizeRhythm() turns them into the `rhythm` object saved on the
+// session.  Needs shared/metrics.js.
+
+// Histogram bucket upper edges (ms); the last bucket is open-ended
+const BURST_BUCKETS_MS = [5_000, 15_000, 30_000, 60_000, 120_000];
+const PAUSE_BUCKETS_MS = [5_000, 15_000, 30_000, 60_000, 300_000];
+
+// Bursts with fewer characters than this say little about speed, so they
+// are counted but left out of the consistency score
+const RHYTHM_MIN_BURST_CHARS = 10;
+
+function createRhythm() {
+  return {
+    bursts:       0,
+    burstMs:      0,                                    // summed burst length
+    longestMs:    0,
+    burstLengths: new Array(BURST_BUCKETS_MS.length + 1).fill(0),
+    pauses:       new Array(PAUSE_BUCKETS_MS.length + 1).fill(0),
+    pauseMs:      0,                                    // summed pause length
+    pauseCount:   0,
+    // Running mean and sum of squared deviations of per-burst WPM (Welford)
+    wpmCount:     0,
+    wpmMean:      0,
+    wpmM2:        0,
+  };
+}
+
+function bucketIndex(edges, ms) {
+  const i = edges.findIndex(edge => ms < edge);
+  return i === -1 ? edges.length : i;
+}
+
+function recordBurst(rhythm, durationMs, chars, unspaced, charsPerWord) {
+  if (durationMs <= 0) return;
+  rhythm.bursts++;
+  rhythm.burstMs  += durationMs;
+  rhythm.longestMs = Math.max(rhythm.longestMs, durationMs);
+  rhythm.burstLengths[bucketIndex(BURST_BUCKETS_MS, durationMs)]++;
+
+  if (chars < RHYTHM_MIN_BURST_CHARS) return;
+  const { wpm } = getSpeed(chars, durationMs, charsPerWord, unspaced);
+  rhythm.wpmCount++;
+  const delta = wpm - rhythm.wpmMean;
+  rhythm.wpmMean += delta / rhythm.wpmCount;
+  rhythm.wpmM2   += delta * (wpm - rhythm.wpmMean);
+}
+
+// An idle gap between two bursts (explicit pauses are not counted)
+function recordPause(rhythm, gapMs) {
+  rhythm.pauses[bucketIndex(PAUSE_BUCKETS_MS, gapMs)]++;
+  rhythm.pauseMs += gapMs;
+  rhythm.pauseCount++;
+}
+
+// The figures saved on the session.  `consistency` uses the same 0–100
+// scale as the typing test's, here over per-burst WPM; it is null until
+// there are two bursts long enough to compare.
+function summarizeRhythm(rhythm) {
+  const variance = rhythm.wpmCount > 1 ? rhythm.wpmM2 / rhythm.wpmCount : null;
+  return {
+    bursts:         rhythm.bursts,
+    meanBurstMs:    rhythm.bursts ? Math.round(rhythm.burstMs / rhythm.bursts) : 0,
+    longestBurstMs: rhythm.longestMs,
+    burstLengths:   rhythm.burstLengths,     // counts per BURST_BUCKETS_MS bucket
+    pauses:         rhythm.pauses,           // counts per PAUSE_BUCKETS_MS bucket
+    meanPauseMs:    rhythm.pauseCount ? Math.round(rhythm.pauseMs / rhythm.pauseCount) : 0,
+    burstWpm:       Math.round(rhythm.wpmMean),
+    burstWpmSd:     variance === null ? null : Math.round(Math.sqrt(variance) * 10) / 10,
+    consistency:    variance === null ? null : consistencyScore(rhythm.wpmMean, variance),
+  };
+}
@@ -0,0 +1,204 @@
+'use strict';
+
+// User settings, stored as one object under `settings` in chrome.storage.sync
+// so they follow the user between machines.  Loaded by the service worker,
+// the content script and the options page; missing keys fall back to
+// DEFAULT_SETTINGS, so new settings need no migration.  Settings in
+// PROFILE_SETTINGS can be overridden per profile (see Profiles below).
+
+const SETTINGS_KEY       = 'settings';
+const ACTIVE_PROFILE_KEY = 'activeProfile';   // chrome.storage.local
+const DEFAULT_PROFILE_ID = 'default';
+
+const DEFAULT_SETTINGS = {
+  // 'off'       — measure only between Start and Stop
+  // 'allowlist' — start automatically on allowlisted sites
+  // 'everywhere'— start automatically on any site that is not denylisted
+  autoTrack:           'off',
+  autoStopIdleMinutes: 2,      // auto sessions end after this long without typing
+  allowlist:           [],     // domain patterns, e.g. "docs.google.com"
+  denylist:            [],     // never measured, even when started by hand
+
+  // Measurement rules
+  idleThresholdMs:     2000,   // the active-time clock pauses after this gap
+  charsPerWord:        5,      // WPM divisor
+  countEnter:          true,   // Enter counts as a typed character
+  inputTypes:          ['text', 'email', 'search', 'url', 'tel', 'number'],
+  keyAnalytics:        false,  // opt-in per-key timing aggregates (shared/keystats.js)
+
+  // Privacy (shared/privacy.js)
+  measureSensitive:    false,  // password, payment-card and one-time-code fields are measured
+  privateDomains:      [],     // domain patterns measured but saved under a label, not their name
+  privateLabel:        'generic',  // 'generic' — one "Private site" label; 'hashed' — a label per site
+  incognito:           'off',  // 'off' — not measured; 'unsaved' — measured, never saved
+  retentionDays:       0,      // sessions older than this are deleted; 0 keeps everything
+
+  // Daily goals (shared/goals.js); a target of 0 switches that goal off
+  goalMinutes:         15,     // minutes of active typing
+  goalWpm:             0,      // time-weighted average WPM for the day
+  goalTests:           0,      // typing tests taken
+  notifyGoals:         true,   // desktop notification when a goal is reached
+  notifyRecords:       true,   // ... and on a new personal best
+  reminderEnabled:     false,  // evening reminder while goals are still open
+  reminderTime:        '20:00',
+
+  // Reports (shared/reports.js): [{ name, domains: [patterns] }]
+  reportGroups:        [],
+
+  // Auto-tag rules (shared/tags.js): [{ name: tag, domains: [domain or URL patterns] }]
+  tagRules:            [],
+
+  // Sync (shared/sync.js)
+  syncHistory:         false,  // mirror session summaries to other devices
+
+  // Team reporting (shared/reporter.js)
+  reportEnabled:       false,  // send session summaries to reportUrl
+  reportUrl:           '',     // the team server; also serves the leaderboard
+  reportNames:         false,  // report the profile name rather than only a random id
+  reportDomains:       false,  // include each session's main site
+
+  // Display and storage
+  broadcastIntervalMs: 250,    // how often live stats are pushed to the UI
+  historyLimit:        0,      // sessions kept in history; 0 keeps everything
+
+  // Profiles: [{ id, name, settings: { per-profile overrides } }]
+  profiles:            [{ id: DEFAULT_PROFILE_ID, name: 'Default' }],
+};
+
+// Goals and the thresholds that shape WPM belong to the typist; site rules,
+// sync and storage belong to the browser
+const PROFILE_SETTINGS = [
+  'idleThresholdMs', 'charsPerWord', 'countEnter',
+  'goalMinutes', 'goalWpm', 'goalTests', 'notifyGoals', 'notifyRecords', 'reminderEnabled', 'reminderTime',
+];
+
+// The settings in effect for profile `activeId`: browser-wide values with
+// that profile's overrides on top.  `profile` is the id actually used, the
+// default profile if `activeId` no longer exists.
+function resolveSettings(saved, activeId) {
+  const base    = { ...DEFAULT_SETTINGS, ...saved };
+  const profile = base.profiles.find(p => p.id === activeId) ??
+    base.profiles.find(p => p.id === DEFAULT_PROFILE_ID) ?? DEFAULT_SETTINGS.profiles[0];
+  return { ...base, ...profile.settings, profile: profile.id };
+}
+
+async function loadStoredSettings() {
+  const [{ [SETTINGS_KEY]: saved }, { [ACTIVE_PROFILE_KEY]: active }] = await Promise.all([
+    chrome.storage.sync.get(SETTINGS_KEY),
+    chrome.storage.local.get(ACTIVE_PROFILE_KEY),
+  ]);
+  return { saved: saved ?? {}, active: active ?? DEFAULT_PROFILE_ID };
+}
+
+async function loadSettings() {
+  try {
+    const { saved, active } = await loadStoredSettings();
+    return resolveSettings(saved, active);
+  } catch {
+    return resolveSettings({}, DEFAULT_PROFILE_ID);
+  }
+}
+
+// Per-profile settings in `changes` are saved to the active profile, the
+// rest browser-wide
+async function saveSettings(changes) {
+  const { saved, active } = await loadStoredSettings();
+  const { profile } = resolveSettings(saved, active);
+  const next        = { ...saved };
+  const overrides   = {};
+  for (const [key, value] of Object.entries(changes)) {
+    if (PROFILE_SETTINGS.includes(key)) overrides[key] = value;
+    else if (key !== 'profile') next[key] = value;
+  }
+  if (Object.keys(overrides).length) {
+    next.profiles = (next.profiles ?? DEFAULT_SETTINGS.profiles).map(p =>
+      p.id === profile ? { ...p, settings: { ...p.settings, ...overrides } } : p);
+  }
+  await chrome.storage.sync.set({ [SETTINGS_KEY]: next });
+  return resolveSettings(next, profile);
+}
+
+// Calls `callback(settings)` whenever settings change in any context, or
+// another profile is made active
+function watchSettings(callback) {
+  chrome.storage.onChanged.addListener((changes, area) => {
+    const changed = area === 'sync' ? changes[SETTINGS_KEY] : area === 'local' ? changes[ACTIVE_PROFILE_KEY] : null;
+    if (changed) loadSettings().then(callback);
+  });
+}
+
+// ── Profiles ─────────────────────────────────────────────────
+// Several typists can share one browser.  Each session is filed under the
+// profile that was active when it started, and history, goals, records and
+// key analytics are kept per profile.  Which profile is active is a choice
+// made at this machine, so it is kept in chrome.storage.local rather than
+// synced with the rest.
+function setActiveProfile(id) {
+  return chrome.storage.local.set({ [ACTIVE_PROFILE_KEY]: id });
+}
+
+async function addProfile(name) {
+  const settings = await loadSettings();
+  const profile  = { id: crypto.randomUUID().slice(0, 8), name };
+  await saveSettings({ profiles: [...settings.profiles, profile] });
+  return profile;
+}
+
+async function renameProfile(id, name) {
+  const settings = await loadSettings();
+  await saveSettings({ profiles: settings.profiles.map(p => p.id === id ? { ...p, name } : p) });
+}
+
+// The default profile cannot be removed.  A removed profile's sessions are
+// kept and count as the default profile's from then on.
+async function removeProfile(id) {
+  if (id === DEFAULT_PROFILE_ID) return;
+  const settings = await loadSettings();
+  await saveSettings({ profiles: settings.profiles.filter(p => p.id !== id) });
+  if (settings.profile === id) await setActiveProfile(DEFAULT_PROFILE_ID);
+}
+
+// Sessions saved before profiles existed, or under a removed profile, are
+// the default profile's
+function isProfileSession(session, settings) {
+  const id = settings.profiles.some(p => p.id === session.profile) ? session.profile : DEFAULT_PROFILE_ID;
+  return id === settings.profile;
+}
+
+function profileSessions(sessions, settings) {
+  return sessions.filter(s => isProfileSession(s, settings));
+}
+
+// chrome.storage key for a per-profile record; the default profile keeps
+// the key used before profiles existed
+function profileStorageKey(key, profile) {
+  return !profile || profile === DEFAULT_PROFILE_ID ? key : `${key}:${profile}`;
+}
+
+// ── Site rules ───────────────────────────────────────────────
+// A pattern matches its own domain and every subdomain; a leading "*." is
+// accepted and means the same thing.  "google.com" matches
+// "docs.google.com" but not "notgoogle.com".
+function matchesDomain(hostname, pattern) {
+  const p = pattern.trim().toLowerCase().replace(/^\*\./, '');
+  if (!p) return false;
+  const host = hostname.toLowerCase();
+  return host === p || host.endsWith(`.${p}`);
+}
+
+function isSiteDenied(settings, hostname) {
+  return settings.denylist.some(p => matchesDomain(hostname, p));
+}
+
+function isSitePrivate(settings, hostname) {
+  return settings.privateDomains.some(p => matchesDomain(hostname, p));
+}
+
+function autoTrackApplies(settings, hostname) {
+  if (isSiteDenied(settings, hostname)) return false;
+  switch (settings.autoTrack) {
+    case 'everywhere': return true;
+    case 'allowlist':  return settings.allowlist.some(p => matchesDomain(hostname, p));
+  }
+  return false;
+}
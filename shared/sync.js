@@ -0,0 +1,216 @@
+'use strict';
+
+// Opt-in roaming of session history through chrome.storage.sync.  Each
+// device mirrors compact summaries of its own sessions into chunked keys,
+// `history:<device>:<n>`, and merges other devices' summaries into its local
+// IndexedDB history.  A device only ever writes its own keys, so two devices
+// never overwrite each other.  Timelines, per-domain splits, pauses and key
+// data stay on the device that recorded them.  A merged session deleted here
+// stays deleted: its id is kept until no device lists it any more.  Needs
+// shared/history.js.
+
+const DEVICE_ID_KEY     = 'deviceId';    // chrome.storage.local
+const SYNC_DELETED_KEY  = 'syncDeleted'; // chrome.storage.local: ids of merged sessions deleted here
+const SYNC_CHUNK_PREFIX = 'history:';
+const SYNC_BUDGET_BYTES = 90 * 1024;     // of sync's 100 KB, shared by all devices; the rest is for settings
+const SYNC_CHUNK_BYTES  = 8000;          // under the 8 KB per-item quota, key included
+
+// Summary fields, in the order they are packed into each summary array.
+// The timestamp travels as epoch ms, which is shorter than ISO text.  New
+// fields go at the end, so summaries from older versions still line up.
+const SYNC_FIELDS = ['id', 'timestamp', 'type', 'domain', 'duration', 'avgWPM', 'avgCPM',
+                     'netWPM', 'accuracy', 'totalChars', 'backspaces', 'pastedChars', 'profile'];
+
+// ── Device identity ──────────────────────────────────────────
+// A random id, created on first use and kept in this browser profile only
+let deviceIdPromise = null;
+
+function getDeviceId() {
+  deviceIdPromise ??= chrome.storage.local.get(DEVICE_ID_KEY).then(async ({ [DEVICE_ID_KEY]: saved }) => {
+    if (saved) return saved;
+    const id = crypto.randomUUID().slice(0, 8);
+    await chrome.storage.local.set({ [DEVICE_ID_KEY]: id });
+    return id;
+  });
+  deviceIdPromise.catch(() => { deviceIdPromise = null; });
+  return deviceIdPromise;
+}
+
+// Sessions recorded here: tagged with this device, or saved before sync
+// existed.  Sessions merged from elsewhere are never mirrored back.
+function isOwnSession(session, device) {
+  return !session.synced && (!session.device || session.device === device);
+}
+
+// ── Summaries and chunks ─────────────────────────────────────
+function summarizeForSync(session) {
+  return SYNC_FIELDS.map(field =>
+    field === 'timestamp' ? Date.parse(session.timestamp) : session[field] ?? null);
+}
+
+// Returns a history session, or null if the summary is malformed
+function expandSyncSummary(summary, device) {
+  if (!Array.isArray(summary) || !Number.isSafeInteger(summary[0]) ||
+      !Number.isFinite(summary[1]) || typeof summary[3] !== 'string') return null;
+  const session = { device, synced: true };
+  SYNC_FIELDS.forEach((field, i) => {
+    if (summary[i] !== null && summary[i] !== undefined) session[field] = summary[i];
+  });
+  session.timestamp = new Date(session.timestamp).toISOString();
+  return session;
+}
+
+function syncChunkKey(device, index) {
+  return `${SYNC_CHUNK_PREFIX}${device}:${index}`;
+}
+
+// The device a chunk key belongs to, or null for other sync keys
+function syncChunkDevice(key) {
+  if (!key.startsWith(SYNC_CHUNK_PREFIX)) return null;
+  const [device, index] = key.slice(SYNC_CHUNK_PREFIX.length).split(':');
+  return device && /^\d+$/.test(index ?? '') ? device : null;
+}
+
+function byteLength(value) {
+  return new TextEncoder().encode(JSON.stringify(value)).length;
+}
+
+// Keeps the newest summaries that fit in `budget` bytes and packs them
+// oldest-first, so a new session usually rewrites only the last chunk.
+// `summaries` are newest first.
+function packSummaries(summaries, budget, device) {
+  const keyBytes = syncChunkKey(device, 99).length + 2;   // key plus the array brackets
+  // Room for every chunk's key, allowing for chunks that end part-filled
+  let room = budget - Math.ceil(budget / (SYNC_CHUNK_BYTES / 2)) * keyBytes;
+  const kept = [];
+  for (const summary of summaries) {
+    const bytes = byteLength(summary) + 1;
+    if (bytes > room) break;
+    kept.push([summary, bytes]);
+    room -= bytes;
+  }
+
+  const chunks = [];
+  let chunk = [], chunkBytes = keyBytes;
+  for (const [summary, bytes] of kept.reverse()) {
+    if (chunk.length && chunkBytes + bytes > SYNC_CHUNK_BYTES) {
+      chunks.push(chunk);
+      chunk = [];
+      chunkBytes = keyBytes;
+    }
+    chunk.push(summary);
+    chunkBytes += bytes;
+  }
+  if (chunk.length) chunks.push(chunk);
+  return chunks;
+}
+
+// ── Push and merge ───────────────────────────────────────────
+// Rewrites this device's chunks from local history.  The budget is split
+// evenly between the devices that have chunks, and the oldest sessions are
+// evicted first.
+async function pushSyncedHistory() {
+  const device = await getDeviceId();
+  const [sessions, stored] = await Promise.all([getSessions(), chrome.storage.sync.get(null)]);
+
+  const devices = new Set([device]);
+  for (const key of Object.keys(stored)) {
+    const owner = syncChunkDevice(key);
+    if (owner) devices.add(owner);
+  }
+
+  const summaries = sessions.filter(s => isOwnSession(s, device)).map(summarizeForSync);
+  const chunks    = packSummaries(summaries, Math.floor(SYNC_BUDGET_BYTES / devices.size), device);
+  const writes    = {};
+  chunks.forEach((chunk, i) => {
+    const key = syncChunkKey(device, i);
+    // Sync allows few writes an hour, so unchanged chunks are left alone
+    if (JSON.stringify(stored[key]) !== JSON.stringify(chunk)) writes[key] = chunk;
+  });
+  const stale = Object.keys(stored).filter(key =>
+    syncChunkDevice(key) === device && Number(key.split(':').pop()) >= chunks.length);
+
+  if (Object.keys(writes).length) await chrome.storage.sync.set(writes);
+  if (stale.length) await chrome.storage.sync.remove(stale);
+}
+
+// Removes this device's chunks, e.g. when sync is switched off
+async function removeSyncedHistory() {
+  const device = await getDeviceId();
+  const keys   = Object.keys(await chrome.storage.sync.get(null)).filter(key => syncChunkDevice(key) === device);
+  if (keys.length) await chrome.storage.sync.remove(keys);
+}
+
+// `chunks` is [[device, summaries], ...].  Sessions already in local
+// history are skipped by id, so local full-resolution records always win,
+// and so are sessions deleted here and sessions saved before `since` (ms),
+// the retention cutoff.  Returns the number of sessions added.
+async function mergeSyncedChunks(chunks, { since = 0 } = {}) {
+  const device  = await getDeviceId();
+  const known   = new Set(await getSessionIds());
+  const deleted = await getSyncDeleted();
+  const added   = [];
+  for (const [owner, summaries] of chunks) {
+    if (owner === device || !Array.isArray(summaries)) continue;
+    for (const summary of summaries) {
+      const session = expandSyncSummary(summary, owner);
+      if (!session || known.has(session.id) || deleted.has(session.id) ||
+          Date.parse(session.timestamp) < since) continue;
+      known.add(session.id);
+      added.push(session);
+    }
+  }
+  if (added.length) await putSessions(added);
+  return added.length;
+}
+
+// Merges every other device's chunks, e.g. on startup or when sync is
+// enabled.  Deleted ids that no chunk lists any more are forgotten.
+async function pullSyncedHistory(options) {
+  const stored = await chrome.storage.sync.get(null);
+  const chunks = Object.entries(stored)
+    .map(([key, summaries]) => [syncChunkDevice(key), summaries])
+    .filter(([owner]) => owner);
+  await pruneSyncDeleted(chunks);
+  return mergeSyncedChunks(chunks, options);
+}
+
+// Calls `callback(chunks)` with the chunks another device just wrote
+function watchSyncedHistory(callback) {
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'sync') return;
+    const chunks = Object.entries(changes)
+      .map(([key, { newValue }]) => [syncChunkDevice(key), newValue])
+      .filter(([owner, summaries]) => owner && Array.isArray(summaries));
+    if (chunks.length) callback(chunks);
+  });
+}
+
+// ── Deletions ────────────────────────────────────────────────
+// Another device keeps a merged session in its chunks after it is deleted
+// here, so its id is remembered to stop the next merge adding it back.
+async function getSyncDeleted() {
+  const { [SYNC_DELETED_KEY]: ids = [] } = await chrome.storage.local.get(SYNC_DELETED_KEY);
+  return new Set(ids);
+}
+
+// Deletes `sessions` from local history, remembering the merged ones
+async function deleteHistorySessions(sessions) {
+  const merged = sessions.filter(s => s.synced).map(s => s.id);
+  if (merged.length) {
+    const deleted = await getSyncDeleted();
+    merged.forEach(id => deleted.add(id));
+    await chrome.storage.local.set({ [SYNC_DELETED_KEY]: [...deleted] });
+  }
+  await deleteSessions(sessions.map(s => s.id));
+}
+
+// Forgets deleted ids that none of `chunks` lists any more
+async function pruneSyncDeleted(chunks) {
+  const deleted = await getSyncDeleted();
+  if (!deleted.size) return;
+  const listed = new Set(chunks.flatMap(([, summaries]) =>
+    Array.isArray(summaries) ? summaries.map(summary => summary?.[0]) : []));
+  const kept = [...deleted].filter(id => listed.has(id));
+  if (kept.length < deleted.size) await chrome.storage.local.set({ [SYNC_DELETED_KEY]: kept });
+}
@@ -0,0 +1,99 @@
+'use strict';
+
+// Session tags and notes.  A session carries `tags` (lower-case labels such
+// as "code review" or "practice") and a free-text `note`, added when it is
+// stopped from the popup or later from History.  Auto-tag rules in the
+// `tagRules` setting tag a session while it is typed on a matching domain or
+// URL.  Loaded by the service worker and the popup; needs shared/settings.js
+// and shared/history.js.
+
+const MAX_SESSION_TAGS = 8;
+const TAG_MAX_LENGTH   = 32;
+const NOTE_MAX_LENGTH  = 280;
+
+// ── Tags ─────────────────────────────────────────────────────
+// Commas separate tags, so a tag cannot contain one
+function normalizeTag(text) {
+  return String(text).replace(/,/g, ' ').replace(/\s+/g, ' ').trim().toLowerCase().slice(0, TAG_MAX_LENGTH).trim();
+}
+
+// The union of the tag lists given, normalized, in first-seen order
+function mergeTags(...lists) {
+  const tags = new Set();
+  for (const list of lists) {
+    for (const raw of list ?? []) {
+      const tag = normalizeTag(raw);
+      if (tag) tags.add(tag);
+    }
+  }
+  return [...tags].slice(0, MAX_SESSION_TAGS);
+}
+
+// "code review, Email" → ['code review', 'email']
+function parseTags(text) {
+  return mergeTags(String(text).split(','));
+}
+
+function formatTags(tags) {
+  return (tags ?? []).join(', ');
+}
+
+function normalizeNote(text) {
+  return String(text ?? '').trim().slice(0, NOTE_MAX_LENGTH);
+}
+
+// ── Auto-tag rules ───────────────────────────────────────────
+// Rules share the report groups' shape, [{ name: tag, domains: [patterns] }].
+// A pattern without a "/" is a domain pattern, matched as in the site rules.
+// One with a "/" is matched against the host and path of the page, where
+// "*" stands for any run of characters: "github.com/*/pull/*".
+function matchesUrlPattern(url, pattern) {
+  let target;
+  try {
+    const { hostname, pathname } = new URL(url);
+    target = `${hostname}${pathname}`.toLowerCase();
+  } catch {
+    return false;
+  }
+  const p = pattern.trim().toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/^\*\./, '').replace(/\/+$/, '');
+  const source = p.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  // Subdomains of the host and the pages below the path match too
+  return new RegExp(`^(?:[^/]*\\.)?${source}(?:/.*)?$`).test(target);
+}
+
+function tagRuleMatches(pattern, hostname, url) {
+  return pattern.includes('/') ? !!url && matchesUrlPattern(url, pattern) : matchesDomain(hostname, pattern);
+}
+
+// Tags of every rule that matches input typed on `hostname` at `url`
+function autoTags(settings, hostname, url) {
+  return mergeTags(settings.tagRules
+    .filter(rule => rule.domains.some(pattern => tagRuleMatches(pattern, hostname, url)))
+    .map(rule => rule.name));
+}
+
+// ── History ──────────────────────────────────────────────────
+// Replaces a saved session's tags and note; returns the updated session, or
+// null if it no longer exists
+async function tagSession(id, { tags, note }) {
+  const session = await getSession(id);
+  if (!session) return null;
+  const updated = { ...session, tags: mergeTags(tags), note: normalizeNote(note) };
+  if (!updated.tags.length) delete updated.tags;
+  if (!updated.note)        delete updated.note;
+  await putSessions([updated]);
+  return updated;
+}
+
+// Every tag used in `sessions`, alphabetically
+function sessionTags(sessions) {
+  return [...new Set(sessions.flatMap(s => s.tags ?? []))].sort();
+}
+
+// Totals and time-weighted WPM per tag, most typed first.  A session with
+// several tags counts towards each of them.
+function summarizeByTag(sessions) {
+  return sessionTags(sessions)
+    .map(tag => ({ tag, ...summarizeSessions(sessions.filter(s => s.tags?.includes(tag))) }))
+    .sort((a, b) => b.activeTime - a.activeTime || a.tag.localeCompare(b.tag));
+}
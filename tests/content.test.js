@@ -0,0 +1,201 @@
+'use strict';
+
+// The content script in a jsdom page: which keystrokes count, what is
+// forwarded to the worker, iframes and the on-page overlay.  Keystroke
+// timelines are replayed as real browser events and checked against the
+// worker's stats.
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser } = require('./harness/browser');
+const { createKeyboard } = require('./harness/keyboard');
+
+const PAGE = `<!DOCTYPE html><html><head></head><body>
+  <textarea id="text"></textarea>
+  <input id="search" type="search">
+  <input id="password" type="password">
+  <input id="number" type="number">
+  <input id="check" type="checkbox">
+  <button id="button">Send</button>
+</body></html>`;
+
+// A page with the content scripts and a running session.  The page is
+// closed after the test, which also fails on any uncaught page error.
+async function setup(t, { settings, url = 'https://example.com/', html = PAGE, start = true } = {}) {
+  const browser  = createBrowser({ settings });
+  const worker   = await browser.startWorker();
+  const tab      = await browser.openTab(url, html);
+  const keyboard = createKeyboard(browser);
+  t.after(() => {
+    tab.close();
+    assert.deepEqual(browser.errors, []);
+  });
+  if (start) await worker.send({ action: 'start' });
+  return {
+    browser,
+    worker,
+    tab,
+    keyboard,
+    el:    id => tab.document.getElementById(id),
+    stats: () => worker.send({ action: 'getStats' }),
+  };
+}
+
+test('typing in a textarea is measured with the same WPM as the engine', async t => {
+  const { el, keyboard, stats } = await setup(t);
+  await keyboard.replay(el('text'), ['hello world', { wait: 10_000 }]);
+
+  const result = await stats();
+  assert.equal(result.totalChars, 11);
+  // 10 gaps of 200 ms, plus the 2 s idle allowance after the last key
+  assert.equal(result.activeTime, 4);
+  assert.equal(result.wpm, Math.round(11 / 5 / (4 / 60)));
+  assert.equal(el('text').value, 'hello world');
+});
+
+test('shortcuts, navigation keys and non-text fields are not typing', async t => {
+  const { el, keyboard, stats } = await setup(t);
+  await keyboard.replay(el('text'), [
+    { key: 'c', ctrlKey: true },
+    { key: 'v', metaKey: true },
+    { key: 'ArrowLeft', times: 3 },
+    { key: 'Shift' },
+    { key: 'Tab' },
+  ]);
+  await keyboard.replay(el('check'), ['xyz']);
+  await keyboard.replay(el('button'), ['xyz']);
+  assert.equal((await stats()).totalChars, 0);
+});
+
+test('Enter counts as a character unless switched off', async t => {
+  const on = await setup(t);
+  await on.keyboard.replay(on.el('text'), ['ab\ncd']);
+  assert.equal((await on.stats()).totalChars, 5);
+
+  const off = await setup(t, { settings: { countEnter: false } });
+  await off.keyboard.replay(off.el('text'), ['ab\ncd']);
+  assert.equal((await off.stats()).totalChars, 4);
+});
+
+test('password and other input types follow the measurement settings', async t => {
+  const all = await setup(t);
+  await all.keyboard.replay(all.el('password'), ['secret']);
+  await all.keyboard.replay(all.el('search'), ['query']);
+  await all.keyboard.replay(all.el('number'), ['42']);
+  assert.equal((await all.stats()).totalChars, 7);
+
+  const some = await setup(t, { settings: { measureSensitive: true, inputTypes: ['search'] } });
+  await some.keyboard.replay(some.el('password'), ['secret']);
+  await some.keyboard.replay(some.el('search'), ['query']);
+  await some.keyboard.replay(some.el('number'), ['42']);
+  assert.equal((await some.stats()).totalChars, 11);
+});
+
+test('a paste is reported by length and kept out of WPM', async t => {
+  const { el, keyboard, stats } = await setup(t);
+  await keyboard.replay(el('text'), ['abcde']);
+  const before = await stats();
+  await keyboard.replay(el('text'), [{ paste: 'a long pasted paragraph' }]);
+  const after = await stats();
+  assert.equal(after.pastedChars, 23);
+  assert.equal(after.totalChars, 5);
+  assert.ok(after.wpm <= before.wpm);
+});
+
+test('drops, replacements and keyless insertions are assisted, not typed', async t => {
+  const { el, keyboard, stats } = await setup(t);
+  await keyboard.replay(el('text'), [
+    'hi ',
+    { insert: 'dragged text', inputType: 'insertFromDrop' },
+    { insert: 'definitely', inputType: 'insertReplacementText' },
+    { insert: 'Best regards,\nAda' },       // an expander or dictation
+    { insert: 'x' },                          // a virtual keyboard key
+    { paste: 'clip' },
+  ]);
+  const result = await stats();
+  assert.equal(result.totalChars, 4);
+  assert.equal(result.pastedChars, 4);
+  assert.equal(result.assistedChars, 12 + 10 + 17 + 4);
+  assert.deepEqual(result.assisted, { drop: 12, replace: 10, insert: 17, paste: 4 });
+});
+
+test('held keys: repeats add no characters, held Backspace deletes each one', async t => {
+  const { el, keyboard, stats } = await setup(t);
+  await keyboard.replay(el('text'), [{ hold: 'a', repeats: 5 }, 'bcdef', { key: 'Backspace' }]);
+  await keyboard.replay(el('text'), [{ hold: 'Backspace', repeats: 3 }]);
+  const result = await stats();
+  assert.equal(result.totalChars, 6);
+  assert.equal(result.backspaces, 2);
+  assert.equal(result.deletedChars, 5);
+  assert.equal(result.corrections, 1);
+});
+
+test('IME text counts once, when it is committed', async t => {
+  const { el, keyboard, stats } = await setup(t);
+  await keyboard.replay(el('text'), [{ compose: '日本語' }, 'ok']);
+  const result = await stats();
+  assert.equal(result.totalChars, 5);
+  assert.equal(result.unspacedChars, 3);
+});
+
+test('nothing is forwarded before a session starts when auto-tracking is off', async t => {
+  const { el, keyboard, stats, worker, browser } = await setup(t, { start: false });
+  await keyboard.replay(el('text'), ['ignored']);
+  await worker.send({ action: 'start' });
+  await browser.settle();
+  await keyboard.replay(el('text'), ['counted']);
+  assert.equal((await stats()).totalChars, 7);
+});
+
+test('same-origin iframes are measured, once each', async t => {
+  const { tab, keyboard, stats, browser } = await setup(t, {
+    html: '<!DOCTYPE html><body><iframe id="plain"></iframe><iframe id="own"></iframe></body>',
+    start: false,
+  });
+  const frames = ['plain', 'own'].map(id => tab.document.getElementById(id));
+  for (const frame of frames) frame.contentDocument.body.innerHTML = '<textarea></textarea>';
+  // The second frame runs its own copy of the content script (all_frames);
+  // the first only gets the top frame's bridged listeners
+  tab.inject(frames[1].contentWindow);
+  await browser.settle();
+  await browser.worker.send({ action: 'start' });
+  await browser.settle();
+
+  await keyboard.replay(frames[0].contentDocument.querySelector('textarea'), ['abc']);
+  await keyboard.replay(frames[1].contentDocument.querySelector('textarea'), ['defg']);
+  assert.equal((await stats()).totalChars, 7);
+});
+
+test('the overlay shows live stats in the top frame while measuring', async t => {
+  const { tab, el, keyboard, browser, worker } = await setup(t);
+  const host = tab.document.getElementById('__tsm__');
+  assert.ok(host, 'overlay created');
+
+  await keyboard.replay(el('text'), ['x'.repeat(30)]);
+  // Past the idle threshold the figures stop changing between broadcasts
+  await browser.advance(3_000);
+  const shadow = host.shadowRoot;
+  const stats  = await worker.send({ action: 'getStats' });
+  assert.equal(shadow.getElementById('ov-w').textContent, String(stats.wpm));
+  assert.equal(shadow.getElementById('ov-status').textContent, 'Typing Speed');
+
+  // The overlay's pause button pauses the session in the worker
+  shadow.getElementById('ov-pause').click();
+  await browser.advance(300);
+  assert.equal((await worker.send({ action: 'getStats' })).isPaused, true);
+  assert.equal(shadow.getElementById('ov-status').textContent, 'Paused');
+
+  await worker.send({ action: 'stop' });
+  await browser.settle();
+  assert.equal(tab.document.getElementById('__tsm__'), null);
+});
+
+test('denylisted pages are not measured and show no overlay', async t => {
+  const { el, keyboard, stats, tab } = await setup(t, {
+    url:      'https://login.bank.example/',
+    settings: { denylist: ['bank.example'] },
+  });
+  await keyboard.replay(el('text'), ['secret']);
+  assert.equal((await stats()).totalChars, 0);
+  assert.equal(tab.document.getElementById('__tsm__'), null);
+});
@@ -0,0 +1,235 @@
+'use strict';
+
+// The measurement engine (shared/engine.js) on its own: scripted input
+// timelines go straight into a session state, with explicit timestamps.
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./harness/browser');
+
+const engine = loadScripts(['shared/metrics.js', 'shared/keystats.js', 'shared/rhythm.js',
+                            'shared/settings.js', 'shared/engine.js']);
+const DEFAULTS = engine.evaluate('DEFAULT_SETTINGS');
+const START    = 1_000_000;
+
+// A running session and a replay function.  Steps are 'text' (one 'char'
+// input per character, `gapMs` apart), { wait }, { delete, repeat },
+// { paste: length } and { commit: text } for IME text.  replay() returns
+// the time after its last step.
+function session(overrides = {}, { gapMs = 200 } = {}) {
+  const settings = { ...DEFAULTS, ...overrides };
+  const state    = engine.createSessionState();
+  state.isActive = true;
+  let now = START;
+
+  function input(kind, extra = {}) {
+    return engine.recordInput(state, settings, { kind, at: now, domain: 'example.com', ...extra });
+  }
+
+  function replay(steps) {
+    for (const step of steps) {
+      if (typeof step === 'string') {
+        for (const char of step) {
+          input('char', { key: char });
+          now += gapMs;
+        }
+      } else if ('wait' in step) {
+        now += step.wait;
+      } else if ('delete' in step) {
+        for (let i = 0; i < step.delete; i++) {
+          input('delete', { repeat: i > 0 && !!step.repeat });
+          now += gapMs;
+        }
+      } else if ('paste' in step) {
+        input('paste', { length: step.paste });
+        now += gapMs;
+      } else if ('commit' in step) {
+        const text = step.commit;
+        input('char', { count: [...text].length, unspaced: engine.countUnspacedChars(text) });
+        now += gapMs;
+      }
+    }
+    return now;
+  }
+
+  return {
+    state,
+    settings,
+    replay,
+    input,
+    stats: (at = now) => ({ ...engine.getSessionStats(state, settings, at) }),
+    now:   () => now,
+  };
+}
+
+test('steady typing: WPM over the active time of the burst', () => {
+  const s = session();
+  // 60 characters, 200 ms apart: the burst runs 59 × 200 ms, and the last
+  // keystroke counts until the idle threshold closes it (2 s)
+  s.replay(['a'.repeat(60), { wait: 10_000 }]);
+  const stats = s.stats();
+  assert.equal(stats.totalChars, 60);
+  assert.equal(stats.activeTime, 13);                 // 11.8 s + 2 s, floored
+  assert.equal(stats.wpm, Math.round(12 / (13.8 / 60)));
+  assert.equal(stats.cpm, Math.round(60 / (13.8 / 60)));
+  assert.equal(stats.hasData, true);
+});
+
+test('idle gaps are left out of active time but not of elapsed time', () => {
+  const s = session();
+  s.replay(['hello', { wait: 30_000 }, 'world']);
+  const stats = s.stats(s.now());
+  // Two bursts: 0.8 s + 2 s idle allowance, then 1 s still open
+  assert.equal(s.state.accumulatedActiveMs, 2_800);
+  assert.equal(stats.activeTime, 3);
+  assert.equal(stats.elapsedTime, 32);
+  assert.equal(stats.wpm, Math.round(2 / (3.8 / 60)));
+});
+
+test('the idle threshold is read from the settings', () => {
+  const short = session({ idleThresholdMs: 500 });
+  short.replay(['abc', { wait: 5_000 }]);
+  assert.equal(engine.getActiveTimeMs(short.state, short.settings, short.now()), 400 + 500);
+
+  const long = session({ idleThresholdMs: 10_000 });
+  long.replay(['abc', { wait: 5_000 }, 'd']);
+  // A 5 s gap is still inside a 10 s threshold: one burst
+  assert.equal(long.state.rhythm.pauseCount, 0);
+  assert.equal(long.stats().activeTime, 5);
+});
+
+test('pasted text is counted separately and never raises WPM', () => {
+  const typed  = session();
+  typed.replay(['abcdefghij']);
+  const pasted = session();
+  pasted.replay(['abcdefghij', { paste: 500 }]);
+
+  const a = typed.stats(typed.now());
+  const b = pasted.stats(typed.now());
+  assert.equal(b.pastedChars, 500);
+  assert.equal(b.totalChars, 10);
+  assert.equal(b.wpm, a.wpm);
+  // An empty paste is not an input at all
+  assert.equal(pasted.input('paste', { length: 0 }), false);
+});
+
+test('assisted text is counted by source, with pastes among it', () => {
+  const s = session();
+  s.replay(['abcdefghij', { paste: 20 }]);
+  const before = s.stats().wpm;
+  s.input('assisted', { length: 30, source: 'insert' });
+  s.input('assisted', { length: 7, source: 'replace' });
+  s.input('assisted', { length: 5, source: 'replace' });
+
+  const stats = s.stats();
+  assert.equal(stats.totalChars, 10);
+  assert.equal(stats.wpm, before);
+  assert.equal(stats.pastedChars, 20);
+  assert.equal(stats.assistedChars, 62);
+  assert.deepEqual({ ...stats.assisted }, { paste: 20, insert: 30, replace: 12 });
+  // Unknown sources and empty insertions are not inputs
+  assert.equal(s.input('assisted', { length: 3, source: 'telepathy' }), false);
+  assert.equal(s.input('assisted', { length: 0, source: 'drop' }), false);
+});
+
+test('deletes: presses, deleted characters and correction runs', () => {
+  const s = session();
+  s.replay(['abcdefghij', { delete: 3 }, 'xyz', { delete: 4, repeat: true }, 'q']);
+  const stats = s.stats();
+  assert.equal(stats.totalChars, 14);
+  assert.equal(stats.backspaces, 4);     // three presses, then one held key
+  assert.equal(stats.deletedChars, 7);
+  assert.equal(stats.corrections, 2);
+  assert.equal(stats.accuracy, 50);
+  assert.equal(stats.correctionRatio, Math.round(7 / 21 * 100));
+});
+
+test('IME commits count every character, Chinese and Japanese as words', () => {
+  const s = session();
+  s.replay([{ commit: '今日は' }, { commit: 'いい天気' }, 'ok']);
+  const stats = s.stats();
+  assert.equal(stats.totalChars, 9);
+  assert.equal(stats.unspacedChars, 7);
+  // 7 words + 2 / 5, over a burst that is still open after 800 ms
+  assert.equal(stats.wpm, Math.round(7.4 / (0.8 / 60)));
+});
+
+test('a pause freezes both clocks and drops input while paused', () => {
+  const s = session();
+  s.replay(['abcde']);
+  engine.pauseClocks(s.state, s.settings, s.now());
+  s.replay(['ignored', { wait: 60_000 }]);
+  assert.equal(s.input('char'), false);
+  engine.endPause(s.state, s.now());
+  s.replay(['fghij']);
+
+  const stats = s.stats(s.now());
+  assert.equal(stats.totalChars, 10);
+  assert.equal(stats.isPaused, false);
+  assert.equal(s.state.pauses.length, 1);
+  // 1 s before the pause and 1 s after it; the 61.4 s pause is excluded
+  assert.equal(stats.elapsedTime, 2);
+  assert.equal(stats.activeTime, 2);
+  // The gap around a pause is the user's choice, not part of the rhythm
+  assert.equal(s.state.rhythm.pauseCount, 0);
+});
+
+test('the speed timeline samples every 5 s of active time', () => {
+  const s = session({}, { gapMs: 100 });
+  s.replay(['x'.repeat(200)]);
+  // 10 characters a second is 120 WPM; the first window also holds the
+  // keystroke that started the clock
+  assert.deepEqual(JSON.parse(JSON.stringify(s.state.series)), [[5, 122], [10, 120], [15, 120]]);
+});
+
+test('long timelines are downsampled to at most 240 points', () => {
+  const s = session({}, { gapMs: 100 });
+  // 25 minutes of unbroken typing is 300 five-second windows
+  s.replay(['x'.repeat(15_000)]);
+  assert.ok(s.state.series.length <= engine.evaluate('MAX_SERIES_POINTS'));
+  assert.equal(s.state.sampleIntervalMs, 10_000);
+});
+
+test('stopping closes the burst and the partial timeline window', () => {
+  const s = session();
+  s.replay(['a'.repeat(40)]);
+  engine.stopClocks(s.state, s.settings, s.now());
+  const stats = s.stats(s.now() + 60_000);
+  assert.equal(stats.isActive, false);
+  assert.equal(s.state.accumulatedActiveMs, 8_000);
+  assert.equal(stats.elapsedTime, 8);           // frozen at the stop time
+  // 26 characters in the first 5 s, the remaining 14 in the last 3 s
+  assert.deepEqual(JSON.parse(JSON.stringify(s.state.series)), [[5, 62], [8, 56]]);
+});
+
+test('peak WPM keeps the best snapshot', () => {
+  const s = session({}, { gapMs: 100 });
+  s.replay(['a'.repeat(50)]);
+  const fast = s.stats().wpm;
+  s.replay([{ wait: 20_000 }, 'slow', { wait: 20_000 }]);
+  const stats = s.stats();
+  assert.ok(stats.wpm < fast);
+  assert.equal(stats.peakWpm, fast);
+});
+
+test('auto sessions go idle after autoStopIdleMinutes', () => {
+  const s = session({ autoStopIdleMinutes: 2 });
+  s.state.auto = true;
+  s.replay(['abc']);
+  const last = s.state.lastInputAt;
+  assert.equal(engine.isAutoIdle(s.state, s.settings, last + 119_000), false);
+  assert.equal(engine.isAutoIdle(s.state, s.settings, last + 120_000), true);
+  s.state.auto = false;
+  assert.equal(engine.isAutoIdle(s.state, s.settings, last + 600_000), false);
+});
+
+test('the primary domain is where most characters were typed', () => {
+  assert.equal(engine.primaryDomain({ 'a.com': 5, 'b.com': 12, 'c.com': 3 }), 'b.com');
+  assert.equal(engine.primaryDomain({}), 'unknown');
+});
+
+test('input before start or after stop is ignored', () => {
+  const state = engine.createSessionState();
+  assert.equal(engine.recordInput(state, DEFAULTS, { kind: 'char', at: START }), false);
+  assert.equal(state.totalChars, 0);
+});
@@ -0,0 +1,208 @@
+'use strict';
+
+// A simulated browser profile for end-to-end tests.  The service worker runs
+// in a vm context the way Chrome runs it (importScripts, no DOM); extension
+// pages and web pages with the content scripts run in jsdom.  Every context
+// shares one fake clock, one fake `chrome` bus and one IndexedDB, so a test
+// can type into a page, advance time and read the result from the popup.
+
+const fs   = require('node:fs');
+const path = require('node:path');
+const vm   = require('node:vm');
+const { JSDOM } = require('jsdom');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+const { createClock }     = require('./clock');
+const { createChromeBus } = require('./chrome');
+
+const ROOT     = path.resolve(__dirname, '..', '..');
+const MANIFEST = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+
+function readSource(file) {
+  return fs.readFileSync(path.join(ROOT, file.replace(/^\//, '')), 'utf8');
+}
+
+// Lets promises, fake IndexedDB requests and message deliveries run to
+// completion.  None of them wait on the fake clock.
+async function settle(rounds = 50) {
+  for (let i = 0; i < rounds; i++) await new Promise(resolve => setImmediate(resolve));
+}
+
+// ── Plain script loading ─────────────────────────────────────
+// Runs classic scripts in a fresh global scope and returns it, so the
+// functions they declare can be called directly.  Top-level `const` and
+// `let` bindings are not properties of the scope; read them with evaluate().
+function loadScripts(files, globals = {}) {
+  const context = vm.createContext({ console, structuredClone, TextEncoder, ...globals });
+  context.self = context;
+  for (const file of files) vm.runInContext(readSource(file), context, { filename: file });
+  context.evaluate = code => vm.runInContext(code, context);
+  return context;
+}
+
+// Web APIs of a jsdom window that go through the fake clock and bus.
+// fetch is Node's own and really goes to the network.
+function installGlobals(window, browser, chrome) {
+  const { clock } = browser;
+  Object.assign(window, {
+    chrome,
+    Date:          clock.Date,
+    setTimeout:    clock.setTimeout,
+    clearTimeout:  clock.clearTimeout,
+    setInterval:   clock.setInterval,
+    clearInterval: clock.clearInterval,
+    indexedDB:     browser.indexedDB,
+    IDBKeyRange,
+    structuredClone,
+    fetch,
+  });
+  window.HTMLElement.prototype.scrollIntoView ??= () => {};
+  // Uncaught errors in page scripts, for tests to check
+  window.addEventListener('error', event => browser.errors.push(event.error ?? event.message));
+}
+
+function runInWindow(window, files) {
+  for (const file of files) {
+    const script = window.document.createElement('script');
+    script.textContent = `${readSource(file)}\n//# sourceURL=${file}`;
+    window.document.head.appendChild(script);
+    script.remove();
+  }
+}
+
+function createBrowser({ settings = {}, start } = {}) {
+  const clock = createClock(start);
+  const bus   = createChromeBus(clock);
+  const browser = {
+    clock,
+    bus,
+    indexedDB: new IDBFactory(),
+    errors:    [],
+    worker:    null,
+    nextTabId: 1,
+    settle,
+  };
+  if (Object.keys(settings).length) bus.storage.sync.data.settings = JSON.parse(JSON.stringify(settings));
+
+  // Moves the clock on, then lets everything that was triggered finish
+  browser.advance = async ms => {
+    clock.advance(ms);
+    await settle();
+  };
+
+  // ── Service worker ─────────────────────────────────────────
+  // Starting again after a stop simulates Chrome suspending the worker:
+  // module state is lost, storage and IndexedDB are not.
+  browser.startWorker = async () => {
+    browser.worker?.disconnect();
+    const { chrome, disconnect } = bus.connect('worker');
+    const context = vm.createContext({
+      chrome,
+      console,
+      Date:          clock.Date,
+      setTimeout:    clock.setTimeout,
+      clearTimeout:  clock.clearTimeout,
+      setInterval:   clock.setInterval,
+      clearInterval: clock.clearInterval,
+      indexedDB:     browser.indexedDB,
+      IDBKeyRange,
+      crypto:        globalThis.crypto,
+      TextEncoder,
+      structuredClone,
+      fetch,
+      AbortSignal,
+      URL,
+    });
+    context.self = context;
+    context.importScripts = (...files) => {
+      for (const file of files) vm.runInContext(readSource(file), context, { filename: file });
+    };
+    vm.runInContext(readSource(MANIFEST.background.service_worker), context,
+      { filename: MANIFEST.background.service_worker });
+
+    browser.worker = {
+      context,
+      chrome,
+      disconnect,
+      evaluate: code => vm.runInContext(code, context),
+      // Sends a message the way the popup does and returns the response
+      send: async message => {
+        const response = bus.sendRuntimeMessage({ kind: 'page' }, message);
+        await settle();
+        return response;
+      },
+    };
+    await settle();
+    return browser.worker;
+  };
+
+  // ── Pages ──────────────────────────────────────────────────
+  // A web page in a new tab, with the manifest's content scripts injected
+  browser.openTab = async (url, html = '<!DOCTYPE html><html><head></head><body></body></html>',
+                           { incognito = false } = {}) => {
+    const id  = browser.nextTabId++;
+    const dom = new JSDOM(html, { url, runScripts: 'dangerously', pretendToBeVisual: true });
+    for (const tab of bus.tabs.values()) tab.active = false;
+    bus.tabs.set(id, { id, url, active: true, incognito });
+
+    const connections = [];
+    const tab = {
+      id,
+      window:   dom.window,
+      document: dom.window.document,
+      // Content scripts run in every frame (all_frames), so a test can give
+      // a same-origin iframe its own copy too
+      inject: window => {
+        const connection = bus.connect('content', { tabId: id, incognito, url: window.location.href });
+        connections.push(connection);
+        installGlobals(window, browser, connection.chrome);
+        runInWindow(window, MANIFEST.content_scripts[0].js);
+      },
+      close: () => {
+        connections.forEach(c => c.disconnect());
+        bus.tabs.delete(id);
+        dom.window.close();
+      },
+    };
+    tab.inject(dom.window);
+    await settle();
+    return tab;
+  };
+
+  // An extension page such as 'popup/popup.html', with its own scripts
+  browser.openPage = async (page, { beforeScripts } = {}) => {
+    const file = path.join(ROOT, page);
+    const html = fs.readFileSync(file, 'utf8');
+    const scripts = [...html.matchAll(/<script src="([^"]+)"><\/script>/g)]
+      .map(([, src]) => path.relative(ROOT, path.resolve(path.dirname(file), src)));
+    const dom = new JSDOM(html.replace(/<script src="[^"]+"><\/script>/g, ''), {
+      url:               `chrome-extension://test-extension/${page}`,
+      runScripts:        'dangerously',
+      pretendToBeVisual: true,
+    });
+    const { chrome, disconnect } = bus.connect('page');
+    const closeWindow = dom.window.close.bind(dom.window);
+    const result = {
+      window:   dom.window,
+      document: dom.window.document,
+      closed:   false,
+      close:    () => { disconnect(); closeWindow(); },
+    };
+    installGlobals(dom.window, browser, chrome);
+    // A page closing itself (the popup does after some actions) only stops
+    // receiving messages, so the test can still inspect it
+    dom.window.close = () => {
+      result.closed = true;
+      disconnect();
+    };
+    beforeScripts?.(dom.window);
+    runInWindow(dom.window, scripts);
+    await settle();
+    return result;
+  };
+
+  browser.openPopup = () => browser.openPage('popup/popup.html');
+
+  return browser;
+}
+
+module.exports = { ROOT, createBrowser, loadScripts, settle };
@@ -0,0 +1,213 @@
+'use strict';
+
+// A fake `chrome` extension API covering what the extension uses.  One bus
+// is one browser profile: storage, alarms and the badge are shared, and
+// every simulated context (the worker, extension pages, content scripts in
+// tabs) gets its own `chrome` object wired to the others the way Chrome
+// routes messages:
+//   runtime.sendMessage  reaches the worker and extension pages, never the sender
+//   tabs.sendMessage     reaches the content scripts of one tab
+// Messages and stored values are copied through JSON, as Chrome does.
+
+const NO_RECEIVER = 'Could not establish connection. Receiving end does not exist.';
+
+function copy(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function createEvent() {
+  const listeners = new Set();
+  return {
+    addListener:    fn => { listeners.add(fn); },
+    removeListener: fn => { listeners.delete(fn); },
+    hasListener:    fn => listeners.has(fn),
+    listeners,
+    dispatch:       (...args) => [...listeners].map(fn => fn(...args)),
+  };
+}
+
+// ── Storage ──────────────────────────────────────────────────
+function createStorageArea(name, bus) {
+  const data = {};
+
+  function pick(keys) {
+    if (keys === null || keys === undefined) return copy(data);
+    const result = {};
+    if (typeof keys === 'object' && !Array.isArray(keys)) {
+      for (const [key, fallback] of Object.entries(keys)) result[key] = key in data ? copy(data[key]) : fallback;
+      return result;
+    }
+    for (const key of [].concat(keys)) if (key in data) result[key] = copy(data[key]);
+    return result;
+  }
+
+  function change(updates) {
+    const changes = {};
+    for (const [key, value] of Object.entries(updates)) {
+      changes[key] = { oldValue: copy(data[key]), newValue: copy(value) };
+      if (value === undefined) delete data[key];
+      else data[key] = copy(value);
+    }
+    if (Object.keys(changes).length) bus.later(() => bus.storageChanged.dispatch(changes, name));
+  }
+
+  return {
+    data,
+    get:    async keys => pick(keys),
+    set:    async items => change(items),
+    remove: async keys => change(Object.fromEntries([].concat(keys).map(key => [key, undefined]))),
+    clear:  async () => change(Object.fromEntries(Object.keys(data).map(key => [key, undefined]))),
+  };
+}
+
+// ── The bus ──────────────────────────────────────────────────
+function createChromeBus(clock) {
+  const bus = {
+    clock,
+    contexts:       new Set(),   // { kind: 'worker' | 'page' | 'content', tabId, url, onMessage }
+    tabs:           new Map(),   // id → { id, url, active, incognito }
+    alarms:         new Map(),   // name → { name, scheduledTime, periodInMinutes, timer }
+    badge:          { text: '', color: null },
+    notifications:  [],
+    openedTabs:     [],
+    storageChanged: createEvent(),
+    // Chrome delivers events and messages asynchronously
+    later:          fn => Promise.resolve().then(fn),
+  };
+  bus.storage = {
+    local:   createStorageArea('local', bus),
+    sync:    createStorageArea('sync', bus),
+    session: createStorageArea('session', bus),
+  };
+
+  // Resolves with the first response; listeners that return true answer later
+  function deliver(receivers, message, sender) {
+    if (!receivers.length) return Promise.reject(new Error(NO_RECEIVER));
+    return new Promise(resolve => {
+      let answered = false;
+      let waiting  = 0;
+      const respond = response => {
+        if (answered) return;
+        answered = true;
+        resolve(copy(response));
+      };
+      bus.later(() => {
+        for (const context of receivers) {
+          for (const listener of context.onMessage.listeners) {
+            if (listener(copy(message), sender, respond) === true) waiting++;
+          }
+        }
+        if (!waiting) respond(undefined);
+      });
+    });
+  }
+
+  bus.sendRuntimeMessage = (from, message) => {
+    const receivers = [...bus.contexts].filter(c => c !== from && c.kind !== 'content' && c.onMessage.listeners.size);
+    const tab = bus.tabs.get(from.tabId);
+    // As in Chrome, `url` is the sending frame's, which for an iframe is not the tab's
+    return deliver(receivers, message, from.kind === 'content' ? { tab, url: from.url ?? tab?.url } : {});
+  };
+
+  bus.sendTabMessage = (tabId, message) => {
+    const receivers = [...bus.contexts].filter(c => c.kind === 'content' && c.tabId === tabId &&
+      c.onMessage.listeners.size);
+    return deliver(receivers, message, {});
+  };
+
+  bus.fireAlarm = name => {
+    const alarm = bus.alarms.get(name);
+    if (!alarm) return;
+    if (!alarm.periodInMinutes) removeAlarm(name);
+    const info = { name, scheduledTime: alarm.scheduledTime, periodInMinutes: alarm.periodInMinutes };
+    for (const context of bus.contexts) context.onAlarm?.dispatch(info);
+  };
+
+  function removeAlarm(name) {
+    const alarm = bus.alarms.get(name);
+    if (!alarm) return false;
+    clock.clearTimeout(alarm.timer);
+    bus.alarms.delete(name);
+    return true;
+  }
+
+  function createAlarm(name, { when, delayInMinutes, periodInMinutes } = {}) {
+    removeAlarm(name);
+    const first = when ?? clock.now() + (delayInMinutes ?? periodInMinutes ?? 0) * 60_000;
+    const alarm = { name, scheduledTime: first, periodInMinutes };
+    const ring  = () => {
+      bus.fireAlarm(name);
+      if (periodInMinutes && bus.alarms.get(name) === alarm) {
+        alarm.scheduledTime += periodInMinutes * 60_000;
+        alarm.timer = clock.setTimeout(ring, periodInMinutes * 60_000);
+      }
+    };
+    alarm.timer = clock.setTimeout(ring, Math.max(0, first - clock.now()));
+    bus.alarms.set(name, alarm);
+  }
+
+  // A `chrome` object for one context.  `kind` is 'worker', 'page' or
+  // 'content'; content scripts also belong to a tab, which may be incognito,
+  // and to a frame at `url` (the tab's own by default).
+  bus.connect = (kind, { tabId = null, incognito = false, url = null } = {}) => {
+    const context = { kind, tabId, url, onMessage: createEvent() };
+    bus.contexts.add(context);
+
+    const chrome = {
+      runtime: {
+        id:              'test-extension',
+        onMessage:       context.onMessage,
+        onInstalled:     createEvent(),
+        onStartup:       createEvent(),
+        sendMessage:     message => bus.sendRuntimeMessage(context, message),
+        getURL:          path => `chrome-extension://test-extension/${path.replace(/^\//, '')}`,
+        openOptionsPage: async () => { bus.openedTabs.push('options'); },
+      },
+      extension: { inIncognitoContext: incognito },
+      storage: {
+        ...bus.storage,
+        onChanged: {
+          addListener:    fn => bus.storageChanged.addListener(fn),
+          removeListener: fn => bus.storageChanged.removeListener(fn),
+        },
+      },
+    };
+
+    if (kind !== 'content') {
+      chrome.tabs = {
+        query:       async (query = {}) => [...bus.tabs.values()]
+          .filter(tab => query.active === undefined || tab.active === query.active)
+          .map(copy),
+        sendMessage: (tabId, message) => bus.sendTabMessage(tabId, message),
+        create:      async ({ url }) => { bus.openedTabs.push(url); },
+      };
+    }
+
+    if (kind === 'worker') {
+      context.onAlarm = createEvent();
+      chrome.alarms = {
+        create:  async (name, info) => createAlarm(name, info),
+        clear:   async name => removeAlarm(name),
+        get:     async name => copy(bus.alarms.get(name)),
+        onAlarm: context.onAlarm,
+      };
+      chrome.action = {
+        setBadgeText:            async ({ text }) => { bus.badge.text = text; },
+        setBadgeBackgroundColor: async ({ color }) => { bus.badge.color = color; },
+      };
+      chrome.notifications = {
+        create: async (id, options) => {
+          bus.notifications.push({ id, ...options });
+          return id;
+        },
+      };
+      chrome.commands = { onCommand: createEvent() };
+    }
+
+    return { chrome, context, disconnect: () => bus.contexts.delete(context) };
+  };
+
+  return bus;
+}
+
+module.exports = { createChromeBus, createEvent };
@@ -0,0 +1,69 @@
+'use strict';
+
+// A fake clock shared by every simulated context.  Date, setTimeout and
+// setInterval only move when a test calls advance(), so a keystroke timeline
+// replays the same way on every run, however slow the machine is.
+
+function createClock(start = Date.UTC(2026, 0, 5, 9, 0, 0)) {
+  let now    = start;
+  let nextId = 1;
+  const timers = new Map();   // id → { due, interval, callback, args }
+
+  class FakeDate extends Date {
+    constructor(...args) {
+      if (args.length) super(...args);
+      else super(now);
+    }
+    static now() {
+      return now;
+    }
+  }
+
+  function schedule(callback, delay, args, repeat) {
+    const ms = Math.max(0, Number(delay) || 0);
+    const id = nextId++;
+    timers.set(id, { due: now + ms, interval: repeat ? Math.max(1, ms) : null, callback, args });
+    return id;
+  }
+
+  function clear(id) {
+    timers.delete(id);
+  }
+
+  // The earliest timer due by `limit`, oldest first among equals
+  function nextDue(limit) {
+    let found = null;
+    for (const [id, timer] of timers) {
+      if (timer.due > limit) continue;
+      if (!found || timer.due < found[1].due) found = [id, timer];
+    }
+    return found;
+  }
+
+  // Moves time forward by `ms`, running every timer that falls due on the
+  // way at the time it was due
+  function advance(ms = 0) {
+    const target = now + ms;
+    for (let due = nextDue(target); due; due = nextDue(target)) {
+      const [id, timer] = due;
+      now = timer.due;
+      if (timer.interval) timer.due += timer.interval;
+      else timers.delete(id);
+      timer.callback(...timer.args);
+    }
+    now = target;
+  }
+
+  return {
+    Date:          FakeDate,
+    setTimeout:    (callback, delay, ...args) => schedule(callback, delay, args, false),
+    setInterval:   (callback, delay, ...args) => schedule(callback, delay, args, true),
+    clearTimeout:  clear,
+    clearInterval: clear,
+    now:           () => now,
+    advance,
+    pending:       () => timers.size,
+  };
+}
+
+module.exports = { createClock };
@@ -0,0 +1,93 @@
+'use strict';
+
+// Fixtures shared by the end-to-end tests: a browser with its worker
+// running, a content-script connection that sends input the way the content
+// script does, and helpers for reading pages and seeding history.
+
+const assert = require('node:assert/strict');
+const { createBrowser } = require('./browser');
+
+// Values from another realm (the worker, a page), as plain objects
+function plain(value) {
+  return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+// A browser with its worker started.  Pages opened through the returned
+// helpers are closed after test `t`, which then fails on any uncaught page
+// error.
+async function startBrowser(t, options) {
+  const browser = createBrowser(options);
+  const worker  = await browser.startWorker();
+  const pages   = [];
+  t.after(() => {
+    pages.forEach(page => page.close());
+    assert.deepEqual(browser.errors, []);
+  });
+  const keep = page => {
+    pages.push(page);
+    return page;
+  };
+
+  return {
+    browser,
+    worker,
+    evaluate:  async expression => plain(await worker.evaluate(expression)),
+    open:      async page => keep(await browser.openPage(page)),
+    openTab:   async (url, html, options) => keep(await browser.openTab(url, html, options)),
+    openPopup: async () => keep(await browser.openPopup()),
+  };
+}
+
+// A content-script context in a tab of its own, with no page behind it.
+// `type` sends one 'char' input per character, `gapMs` apart; `input` sends
+// any other kind.
+function connectTab(browser, { url = 'https://example.com/', incognito = false } = {}) {
+  const tabId      = browser.nextTabId++;
+  browser.bus.tabs.set(tabId, { id: tabId, url, active: true, incognito });
+  const connection = browser.bus.connect('content', { tabId, incognito });
+
+  function send(kind, extra) {
+    connection.chrome.runtime.sendMessage({ type: 'input', kind, at: browser.clock.now(), domain: 'example.com', ...extra })
+      .catch(() => {});
+  }
+
+  async function type(text, { gapMs = 200, domain = 'example.com' } = {}) {
+    for (const char of text) {
+      send('char', { domain, key: char });
+      await browser.settle(5);
+      browser.clock.advance(gapMs);
+    }
+    await browser.settle();
+  }
+
+  function input(kind, extra = {}) {
+    send(kind, extra);
+    return browser.settle();
+  }
+
+  return { ...connection, tabId, type, input };
+}
+
+// ── Pages and history ────────────────────────────────────────
+// An element's text with whitespace collapsed
+function text(page, id) {
+  return page.document.getElementById(id).textContent.replace(/\s+/g, ' ').trim();
+}
+
+// Sets a form control's value and fires the event the page listens for
+function change(page, id, value, type = 'input') {
+  const el = page.document.getElementById(id);
+  el.value = value;
+  el.dispatchEvent(new page.window.Event(type, { bubbles: true }));
+}
+
+// A saved history session, for seeding with putSessions()
+function session(id, timestamp, fields = {}) {
+  return {
+    id, timestamp: new Date(timestamp).toISOString(), type: 'passive', domain: 'example.com',
+    duration: 60, avgWPM: 50, avgCPM: 250, accuracy: 95, totalChars: 250, backspaces: 5, pastedChars: 0,
+    ...fields,
+  };
+}
+
+module.exports = { plain, startBrowser, connectTab, text, change, session };
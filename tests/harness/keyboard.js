@@ -0,0 +1,115 @@
+'use strict';
+
+// Replays scripted keystroke timelines into a jsdom page, firing the events
+// a browser fires for real typing: keydown, beforeinput, the edit itself,
+// input and keyup.  Time only passes between steps, on the fake clock.
+//
+// A timeline is an array of steps:
+//   'text'                      types each character, `gapMs` apart
+//   { wait: ms }                lets time pass with no input
+//   { key: 'Backspace', times } presses a non-character key
+//   { paste: 'text' }           pastes text from the clipboard
+//   { compose: 'text' }         commits text from an IME composition
+//   { hold: 'x', repeats }      holds a key down long enough to auto-repeat
+//   { insert: 'text', inputType } inserts text with no keystroke behind it:
+//                               insertText (a suggestion, an expander or
+//                               dictation), insertFromDrop,
+//                               insertReplacementText, insertFromYank
+
+function createKeyboard(browser, { gapMs = 200 } = {}) {
+  function fire(target, type, Ctor, init) {
+    const view  = target.ownerDocument.defaultView;
+    const event = new view[Ctor](type, { bubbles: true, cancelable: true, composed: true, ...init });
+    return target.dispatchEvent(event);
+  }
+
+  // The edit a beforeinput describes, applied to a form field
+  function edit(target, inputType, data) {
+    if (!('value' in target)) return;
+    if (inputType === 'deleteContentBackward') target.value = target.value.slice(0, -1);
+    else if (data) target.value += data;
+  }
+
+  function beforeInput(target, inputType, data = null, isComposing = false) {
+    if (!fire(target, 'beforeinput', 'InputEvent', { inputType, data, isComposing })) return;
+    edit(target, inputType, data);
+    fire(target, 'input', 'InputEvent', { inputType, data, isComposing });
+  }
+
+  function press(target, key, { repeat = false, ...modifiers } = {}) {
+    const down = fire(target, 'keydown', 'KeyboardEvent', { key, repeat, ...modifiers });
+    if (down && !modifiers.ctrlKey && !modifiers.metaKey) {
+      if (key.length === 1)       beforeInput(target, 'insertText', key);
+      else if (key === 'Enter')     beforeInput(target, 'insertParagraph');
+      else if (key === 'Backspace') beforeInput(target, 'deleteContentBackward');
+      else if (key === 'Delete')    beforeInput(target, 'deleteContentForward');
+    }
+    if (!repeat) fire(target, 'keyup', 'KeyboardEvent', { key, ...modifiers });
+  }
+
+  function paste(target, text) {
+    const view  = target.ownerDocument.defaultView;
+    const event = new view.Event('paste', { bubbles: true, cancelable: true, composed: true });
+    event.clipboardData = { getData: type => (type === 'text' || type === 'text/plain' ? text : '') };
+    if (target.dispatchEvent(event)) beforeInput(target, 'insertFromPaste', text);
+  }
+
+  // An IME sends keyCode 229 keydowns while composing and commits the text
+  // at compositionend
+  function compose(target, text) {
+    fire(target, 'compositionstart', 'CompositionEvent', { data: '' });
+    for (const char of text) {
+      fire(target, 'keydown', 'KeyboardEvent', { key: 'Process', keyCode: 229, isComposing: true });
+      beforeInput(target, 'insertCompositionText', char, true);
+    }
+    fire(target, 'compositionend', 'CompositionEvent', { data: text });
+  }
+
+  // Delivers what the step reported, then lets time pass, which also
+  // flushes a keydown the content script held back
+  async function pass(ms) {
+    await browser.settle(5);
+    browser.clock.advance(ms);
+    await browser.settle(5);
+  }
+
+  async function replay(target, timeline) {
+    target.focus?.();
+    for (const step of timeline) {
+      if (typeof step === 'string') {
+        for (const char of step) {
+          press(target, char === '\n' ? 'Enter' : char);
+          await pass(gapMs);
+        }
+      } else if ('wait' in step) {
+        await pass(step.wait);
+      } else if ('key' in step) {
+        for (let i = 0; i < (step.times ?? 1); i++) {
+          press(target, step.key, step);
+          await pass(gapMs);
+        }
+      } else if ('paste' in step) {
+        paste(target, step.paste);
+        await pass(gapMs);
+      } else if ('compose' in step) {
+        compose(target, step.compose);
+        await pass(gapMs);
+      } else if ('insert' in step) {
+        beforeInput(target, step.inputType ?? 'insertText', step.insert);
+        await pass(gapMs);
+      } else if ('hold' in step) {
+        press(target, step.hold);
+        for (let i = 0; i < step.repeats; i++) {
+          await pass(50);
+          press(target, step.hold, { repeat: true });
+        }
+        await pass(gapMs);
+      }
+    }
+    await browser.settle();
+  }
+
+  return { replay, press, paste, compose };
+}
+
+module.exports = { createKeyboard };
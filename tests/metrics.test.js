@@ -0,0 +1,53 @@
+'use strict';
+
+// The WPM definitions in shared/metrics.js, shared by live measurement and
+// the typing test.  Worked numbers, so a change to the maths shows up here.
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./harness/browser');
+
+const metrics = loadScripts(['shared/metrics.js']);
+
+test('WPM is characters / 5 per active minute, CPM characters per minute', () => {
+  assert.deepEqual({ ...metrics.getSpeed(300, 60_000) }, { wpm: 60, cpm: 300 });
+  assert.deepEqual({ ...metrics.getSpeed(150, 30_000) }, { wpm: 60, cpm: 300 });
+  assert.deepEqual({ ...metrics.getSpeed(7, 2_000) },    { wpm: 42, cpm: 210 });
+});
+
+test('no active time gives zero speed rather than Infinity', () => {
+  assert.deepEqual({ ...metrics.getSpeed(10, 0) }, { wpm: 0, cpm: 0 });
+});
+
+test('charsPerWord changes WPM but not CPM', () => {
+  assert.deepEqual({ ...metrics.getSpeed(300, 60_000, 6) }, { wpm: 50, cpm: 300 });
+});
+
+test('Chinese and Japanese characters count as a word each', () => {
+  assert.equal(metrics.countUnspacedChars('日本語 text ひらがな カタカナ'), 11);
+  assert.equal(metrics.countUnspacedChars('한국어 text'), 0);
+  // 60 unspaced characters in a minute is 60 WPM; mixed text adds up
+  assert.equal(metrics.getSpeed(60, 60_000, 5, 60).wpm, 60);
+  assert.equal(metrics.getSpeed(110, 60_000, 5, 60).wpm, 70);
+});
+
+test('net WPM, accuracy and correction ratio assume each delete undoes a typed character', () => {
+  assert.deepEqual({ ...metrics.getQuality(300, 30, 60_000) },
+    { netWpm: 54, accuracy: 90, correctionRatio: 9 });
+  // Uncorrected errors (typing test only) are subtracted as well
+  assert.deepEqual({ ...metrics.getQuality(300, 30, 60_000, 15) },
+    { netWpm: 51, accuracy: 85, correctionRatio: 9 });
+});
+
+test('quality of an empty session is neutral', () => {
+  assert.deepEqual({ ...metrics.getQuality(0, 0, 0) }, { netWpm: 0, accuracy: 100, correctionRatio: 0 });
+  // Deleting more than was typed never goes negative
+  assert.equal(metrics.getQuality(10, 25, 60_000).netWpm, 0);
+});
+
+test('consistency is 100 minus the coefficient of variation', () => {
+  assert.equal(metrics.getConsistency([60, 60, 60]), 100);
+  assert.equal(metrics.getConsistency([50]), 100);
+  assert.equal(metrics.getConsistency([40, 60]), 80);
+  assert.equal(metrics.consistencyScore(60, 36), 90);
+});
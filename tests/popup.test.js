@@ -0,0 +1,182 @@
+'use strict';
+
+// The popup in jsdom, talking to a real worker: the Live panel while a
+// session runs, the buttons, and the History list after sessions are saved.
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { createKeyboard } = require('./harness/keyboard');
+const { plain, startBrowser, text, change, session } = require('./harness/fixtures');
+
+const DAY = 86_400_000;
+
+// A worker and a page to type into; openPopup() opens the popup on top.
+// Everything is closed after the test, which also fails on any uncaught
+// page error.
+async function setup(t, options) {
+  const opened   = await startBrowser(t, options);
+  const tab      = await opened.openTab('https://docs.example/', '<!DOCTYPE html><body><textarea></textarea></body>');
+  const keyboard = createKeyboard(opened.browser);
+  const textarea = tab.document.querySelector('textarea');
+  return {
+    browser:   opened.browser,
+    worker:    opened.worker,
+    type:      timeline => keyboard.replay(textarea, timeline),
+    openPopup: opened.openPopup,
+  };
+}
+
+test('the Live panel shows the running session and follows broadcasts', async t => {
+  const { browser, worker, type, openPopup } = await setup(t);
+  const popup = await openPopup();
+  assert.equal(text(popup, 'statusLabel'), 'Not measuring');
+  assert.equal(text(popup, 'wpmValue'), '—');
+
+  popup.document.getElementById('toggleBtn').click();
+  await browser.settle();
+  assert.equal(text(popup, 'statusLabel'), 'Measuring…');
+  assert.equal(text(popup, 'toggleBtn'), 'Stop Measuring');
+
+  await type(['the quick brown fox', { wait: 3_000 }]);
+  const stats = await worker.send({ action: 'getStats' });
+  await browser.advance(250);
+  assert.equal(text(popup, 'wpmValue'), String(stats.wpm));
+  assert.equal(text(popup, 'cpmValue'), String(stats.cpm));
+  assert.equal(text(popup, 'keystrokesValue'), '19');
+  assert.equal(text(popup, 'accuracyValue'), '100%');
+  assert.equal(text(popup, 'elapsedValue'), '7s');
+});
+
+test('the footer breaks assisted characters down by source', async t => {
+  const { browser, type, openPopup } = await setup(t);
+  const popup = await openPopup();
+  assert.ok(popup.document.getElementById('assistedBreakdown').classList.contains('hidden'));
+
+  popup.document.getElementById('toggleBtn').click();
+  await browser.settle();
+  await type(['abc', { paste: 'pasted text' }, { insert: 'see you soon' }]);
+  await browser.advance(250);
+  assert.equal(text(popup, 'keystrokesValue'), '3');
+  assert.equal(text(popup, 'assistedValue'), '23');
+  assert.equal(text(popup, 'assistedBreakdown'),
+    '12 inserted (suggestions, expanders, dictation) \u00b7 11 pasted');
+});
+
+test('Pause and Resume update the status and buttons', async t => {
+  const { browser, type, openPopup } = await setup(t);
+  const popup = await openPopup();
+  const pauseBtn = popup.document.getElementById('pauseBtn');
+  assert.ok(pauseBtn.classList.contains('hidden'));
+
+  popup.document.getElementById('toggleBtn').click();
+  await browser.settle();
+  await type(['abc']);
+  pauseBtn.click();
+  await browser.settle();
+  assert.equal(text(popup, 'statusLabel'), 'Paused — input is not counted');
+  assert.equal(text(popup, 'pauseBtn'), 'Resume');
+
+  pauseBtn.click();
+  await browser.settle();
+  assert.equal(text(popup, 'statusLabel'), 'Measuring…');
+  assert.equal(text(popup, 'pauseBtn'), 'Pause');
+});
+
+test('stopping saves the session and lists it under History', async t => {
+  const { browser, type, openPopup } = await setup(t);
+  const popup = await openPopup();
+  const toggle = popup.document.getElementById('toggleBtn');
+
+  toggle.click();
+  await browser.settle();
+  await type(['a'.repeat(50), { wait: 3_000 }]);
+  toggle.click();
+  await browser.settle();
+  assert.equal(text(popup, 'statusLabel'), 'Not measuring');
+
+  popup.document.getElementById('tabHistory').click();
+  await browser.settle();
+  const items = popup.document.querySelectorAll('.session-item');
+  assert.equal(items.length, 1);
+  assert.equal(items[0].querySelector('.session-domain').textContent, 'docs.example');
+  // 50 characters over 9.8 s of typing and 2 s of idle allowance
+  assert.match(items[0].querySelector('.chip-wpm').textContent, /^51 WPM$/);
+  assert.equal(text(popup, 'sessionsCount'), '1 session');
+});
+
+test('History summarises and filters saved sessions', async t => {
+  const { browser, worker, openPopup } = await setup(t);
+  const now = browser.clock.now();
+  const sessions = [
+    session(1, now - 2 * DAY, { domain: 'mail.example', duration: 300, avgWPM: 40 }),
+    session(2, now - DAY,     { domain: 'docs.example', duration: 100, avgWPM: 80 }),
+    session(3, now - 3_600_000, { domain: 'docs.example', duration: 100, avgWPM: 60, type: 'test' }),
+  ];
+  await worker.evaluate(`putSessions(${JSON.stringify(sessions)})`);
+  const popup = await openPopup();
+
+  popup.document.getElementById('tabHistory').click();
+  await browser.settle();
+  const domains = [...popup.document.querySelectorAll('.session-domain')].map(el => el.textContent);
+  assert.deepEqual(domains, ['docs.example', 'docs.example', 'mail.example']);
+  assert.equal(popup.document.querySelectorAll('.chip-test').length, 1);
+  // Weighted by active time: (40 × 300 + 80 × 100 + 60 × 100) / 500
+  assert.equal(text(popup, 'summaryWpm'), '52');
+  assert.equal(text(popup, 'summaryBest'), '80');
+
+  change(popup, 'filterDomain', 'docs.example');
+  await browser.settle();
+  assert.equal(text(popup, 'sessionsCount'), '2 sessions of 3');
+  assert.equal(text(popup, 'summaryWpm'), '70');
+});
+
+test('import keeps structured fields only when they have the right shape', async t => {
+  const { openPopup } = await setup(t);
+  const { parseImport } = (await openPopup()).window;
+  const json = JSON.stringify([
+    session(1, Date.UTC(2026, 0, 1), {
+      domains:  { 'a.example': 5, 'b.example': 7 },
+      assisted: { paste: 3 },
+      test:     { mode: 'time', length: 30, source: 'words', errors: 2 },
+    }),
+    session(2, Date.UTC(2026, 0, 2), {
+      domains:  { 'a.example': '5', 'b.example': 7 },
+      assisted: { paste: -1 },
+      test:     { mode: 'time', length: '30', source: 'words', errors: 2 },
+    }),
+  ]);
+  const { sessions, invalid } = plain(parseImport(json, 'history.json', []));
+  assert.equal(invalid, 0);
+  assert.deepEqual(sessions[0].domains, { 'a.example': 5, 'b.example': 7 });
+  assert.deepEqual(sessions[0].assisted, { paste: 3 });
+  assert.equal(sessions[0].test.errors, 2);
+  // A field that fails its check is dropped; the session itself is kept
+  assert.deepEqual(Object.keys(sessions[1]).filter(key => ['domains', 'assisted', 'test'].includes(key)), []);
+  assert.equal(sessions[1].totalChars, 250);
+});
+
+test('an imported rhythm of the wrong shape is dropped and the session still opens', async t => {
+  const { browser, worker, openPopup } = await setup(t);
+  const { parseImport } = (await openPopup()).window;
+  const rhythm = {
+    bursts: 2, meanBurstMs: 9000, longestBurstMs: 12000, burstLengths: [0, 2, 0, 0, 0, 0],
+    pauses: [1, 0, 0, 0, 0, 0], meanPauseMs: 3000, burstWpm: 55, burstWpmSd: null, consistency: null,
+  };
+  const json = JSON.stringify([
+    session(1, Date.UTC(2026, 0, 1), { rhythm }),
+    session(2, Date.UTC(2026, 0, 2), { rhythm: {} }),
+    session(3, Date.UTC(2026, 0, 3), { rhythm: { ...rhythm, pauses: [1, 0] } }),
+    session(4, Date.UTC(2026, 0, 4), { rhythm: { ...rhythm, bursts: '2' } }),
+  ]);
+  const { sessions } = plain(parseImport(json, 'history.json', []));
+  assert.deepEqual(sessions.map(s => 'rhythm' in s), [true, false, false, false]);
+  assert.deepEqual(sessions[0].rhythm, rhythm);
+
+  await worker.evaluate(`putSessions(${JSON.stringify(sessions)})`);
+  const popup = await openPopup();
+  popup.document.getElementById('tabHistory').click();
+  await browser.settle();
+  popup.document.querySelector('.session-item[data-id="2"]').click();
+  assert.equal(popup.document.getElementById('panelSession').classList.contains('hidden'), false);
+  assert.equal(popup.document.getElementById('detailNoRhythm').classList.contains('hidden'), false);
+});
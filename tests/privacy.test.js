@@ -0,0 +1,171 @@
+'use strict';
+
+// Privacy safeguards: sensitive fields, private sites, incognito tabs, the
+// retention period and the popup's privacy notice.
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { createKeyboard } = require('./harness/keyboard');
+const { startBrowser, connectTab, session } = require('./harness/fixtures');
+
+const PAGE = `<!DOCTYPE html><html><head></head><body>
+  <textarea id="text"></textarea>
+  <input id="password" type="password">
+  <input id="shown" type="text" autocomplete="current-password">
+  <input id="card" autocomplete="billing cc-number">
+  <input id="code" autocomplete="one-time-code" inputmode="numeric">
+</body></html>`;
+
+const DAY_MS = 86_400_000;
+
+async function setup(t, settings = {}) {
+  const opened = await startBrowser(t, { settings });
+  const { browser, worker } = opened;
+  return {
+    ...opened,
+    keyboard:  createKeyboard(browser),
+    // Sends input straight from a content-script context in a tab of its own
+    tabSender: options => connectTab(browser, options).type,
+    stats:     () => worker.send({ action: 'getStats' }),
+    openTab:   ({ url = 'https://example.com/', ...options } = {}) => opened.openTab(url, PAGE, options),
+  };
+}
+
+test('password, card and one-time-code fields are not measured unless allowed', async t => {
+  for (const [measureSensitive, expected] of [[false, 2], [true, 10]]) {
+    const { worker, keyboard, stats, openTab } = await setup(t, { measureSensitive });
+    const tab = await openTab();
+    await worker.send({ action: 'start' });
+    for (const id of ['text', 'password', 'shown', 'card', 'code']) {
+      await keyboard.replay(tab.document.getElementById(id), ['ab']);
+    }
+    assert.equal((await stats()).totalChars, expected);
+  }
+});
+
+test('private sites are saved under a label instead of their name', async t => {
+  const generic = await setup(t, { privateDomains: ['bank.example'] });
+  const type    = generic.tabSender();
+  await generic.worker.send({ action: 'start' });
+  await type('balance', { domain: 'online.bank.example' });
+  await type('hi');
+  await generic.worker.send({ action: 'stop' });
+  const [saved] = await generic.evaluate('getSessions()');
+  assert.equal(saved.domain, 'Private site');
+  assert.deepEqual(saved.domains, { 'Private site': 7, 'example.com': 2 });
+  assert.doesNotMatch(JSON.stringify(saved), /bank/);
+
+  // Hashed labels keep private sites apart, and stay the same between sessions
+  const hashed = await setup(t, { privateDomains: ['bank.example', 'clinic.example'], privateLabel: 'hashed' });
+  const typeHashed = hashed.tabSender();
+  for (const domain of ['bank.example', 'clinic.example', 'bank.example']) {
+    await hashed.worker.send({ action: 'start' });
+    await typeHashed('abc', { domain });
+    await hashed.worker.send({ action: 'stop' });
+  }
+  const labels = (await hashed.evaluate('getSessions()')).map(s => s.domain).reverse();
+  assert.match(labels[0], /^private-[0-9a-f]{8}$/);
+  assert.notEqual(labels[0], labels[1]);
+  assert.equal(labels[2], labels[0]);
+});
+
+test('the overlay does not remember its place under a private or incognito site\'s name', async t => {
+  const { browser, worker, openTab } = await setup(t, { privateDomains: ['bank.example'], incognito: 'unsaved' });
+  browser.bus.storage.local.data.overlayPrefs = { 'online.bank.example': { minimized: false } };
+  const prefs = () => browser.bus.storage.local.data.overlayPrefs;
+  await worker.send({ action: 'start' });
+
+  const minimize = async (url, options) => {
+    const tab = await openTab({ url, ...options });
+    await browser.settle();
+    tab.document.getElementById('__tsm__').shadowRoot.getElementById('ov-min').click();
+    await browser.settle();
+  };
+  await minimize('https://online.bank.example/');
+  await minimize('https://news.example/', { incognito: true });
+  await minimize('https://news.example/');
+  assert.deepEqual(Object.keys(prefs()).sort(), ['*private', 'news.example']);
+  assert.equal(prefs()['*private'].minimized, true);
+});
+
+test('incognito tabs are not measured by default', async t => {
+  const { worker, keyboard, stats, tabSender, openTab } = await setup(t);
+  const tab = await openTab({ incognito: true });
+  await worker.send({ action: 'start' });
+  await keyboard.replay(tab.document.getElementById('text'), ['private']);
+  assert.equal(tab.document.getElementById('__tsm__'), null);
+  // The worker drops incognito input even if a content script sends it
+  await tabSender({ incognito: true })('again');
+  assert.equal((await stats()).totalChars, 0);
+});
+
+test('with the "unsaved" policy incognito typing is measured but the session is not saved', async t => {
+  const { worker, keyboard, stats, evaluate, tabSender, openTab } = await setup(t, { incognito: 'unsaved' });
+  const tab = await openTab({ incognito: true });
+  await worker.send({ action: 'start' });
+  await keyboard.replay(tab.document.getElementById('text'), ['private']);
+  await tabSender()('normal');
+  assert.equal((await stats()).totalChars, 13);
+  await worker.send({ action: 'stop' });
+  assert.deepEqual(await evaluate('getSessions()'), []);
+
+  // The next session without incognito typing is saved as usual
+  await worker.send({ action: 'start' });
+  await tabSender()('normal');
+  await worker.send({ action: 'stop' });
+  assert.equal((await evaluate('getSessions()')).length, 1);
+});
+
+test('sessions past the retention period are deleted and not merged back from sync', async t => {
+  const { browser, evaluate } = await setup(t);
+  const now     = browser.clock.now();
+  const daysAgo = (id, days) => session(id, now - days * DAY_MS);
+  await evaluate(`putSessions(${JSON.stringify([daysAgo(1, 40), daysAgo(2, 10), daysAgo(3, 29.5)])})`);
+
+  await evaluate('saveSettings({ retentionDays: 30 })');
+  await browser.settle();
+  assert.deepEqual((await evaluate('getSessions()')).map(s => s.id), [2, 3]);
+
+  // Checked again every day
+  await browser.advance(DAY_MS);
+  assert.deepEqual((await evaluate('getSessions()')).map(s => s.id), [2]);
+
+  const merged = await evaluate(`mergeSyncedChunks([['other', ${JSON.stringify(
+    [daysAgo(10, 45), daysAgo(11, 5)])}.map(summarizeForSync)]], { since: retentionCutoff(settings) })`);
+  assert.equal(merged, 1);
+});
+
+test('the popup privacy notice lists the rules in force and opens them', async t => {
+  const { browser, open } = await setup(t, {
+    privateDomains: ['bank.example', 'clinic.example'],
+    incognito:      'unsaved',
+    retentionDays:  30,
+  });
+  const popup  = await open('popup/popup.html');
+  const notice = popup.document.getElementById('privacyNotice');
+  await browser.settle();
+  assert.deepEqual(notice.title.split('\n'), [
+    'What you type is never stored, only counts',
+    'Password, payment-card and one-time-code fields are not measured',
+    'Private sites (2) are saved without their names',
+    'Incognito typing is measured but never saved',
+    'Sessions are deleted after 30 days',
+  ]);
+
+  notice.click();
+  assert.deepEqual(browser.bus.openedTabs, ['chrome-extension://test-extension/options/options.html#privacy']);
+
+  // Summaries that leave the browser are named too
+  const shared = await setup(t, {
+    syncHistory:   true,
+    reportEnabled: true,
+    reportUrl:     'https://team.example/reports',
+    reportDomains: true,
+  });
+  const sharedPopup = await shared.open('popup/popup.html');
+  await shared.browser.settle();
+  assert.deepEqual(sharedPopup.document.getElementById('privacyNotice').title.split('\n').slice(-2), [
+    'Session summaries are copied to your other browsers through Chrome sync',
+    'Session summaries are sent to your team\'s server, https://team.example/reports, with each session\'s main site',
+  ]);
+});
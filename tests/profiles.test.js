@@ -0,0 +1,152 @@
+'use strict';
+
+// Profiles for several typists in one browser: per-profile settings, which
+// profile a session is filed under, and the popup and options page scoped
+// to the active profile.
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { startBrowser, connectTab, change } = require('./harness/fixtures');
+
+async function setup(t, options) {
+  const opened = await startBrowser(t, options);
+  return { ...opened, type: connectTab(opened.browser).type };
+}
+
+test('per-profile settings apply to their profile only', async t => {
+  const { browser, evaluate } = await setup(t, { settings: { goalMinutes: 20 } });
+  const anna = await evaluate(`addProfile('Anna')`);
+
+  // On the default profile: goals are its own, the denylist is shared
+  await evaluate(`saveSettings({ goalMinutes: 45, denylist: ['bank.example'] })`);
+  await evaluate(`setActiveProfile('${anna.id}')`);
+  await evaluate(`saveSettings({ charsPerWord: 6 })`);
+  await browser.settle();
+
+  const forAnna = await evaluate('loadSettings()');
+  assert.equal(forAnna.profile, anna.id);
+  assert.equal(forAnna.goalMinutes, 20);
+  assert.equal(forAnna.charsPerWord, 6);
+  assert.deepEqual(forAnna.denylist, ['bank.example']);
+  // The worker follows the switch
+  assert.equal(await evaluate('settings.profile'), anna.id);
+
+  await evaluate(`setActiveProfile('default')`);
+  const forDefault = await evaluate('loadSettings()');
+  assert.equal(forDefault.goalMinutes, 45);
+  assert.equal(forDefault.charsPerWord, 5);
+
+  // A removed profile's sessions fall back to the default profile
+  await evaluate(`setActiveProfile('${anna.id}')`);
+  await evaluate(`removeProfile('${anna.id}')`);
+  const after = await evaluate('loadSettings()');
+  assert.equal(after.profile, 'default');
+  assert.equal(await evaluate(`isProfileSession({ profile: '${anna.id}' }, settings)`), true);
+});
+
+test('sessions are filed under the profile they were started with', async t => {
+  const { browser, worker, type, evaluate } = await setup(t, { settings: { autoTrack: 'everywhere' } });
+  const anna = await evaluate(`addProfile('Anna')`);
+  await browser.settle();
+
+  await worker.send({ action: 'start', profile: anna.id });
+  await type('hello');
+  await worker.send({ action: 'stop' });
+
+  // Auto-tracking files under the active profile; an unknown one is ignored
+  await type('world');
+  await browser.advance(180_000);
+  await worker.send({ action: 'start', profile: 'nobody' });
+  await type('again');
+  await worker.send({ action: 'stop' });
+
+  const sessions = await evaluate('getSessions()');
+  assert.deepEqual(sessions.map(s => s.profile), ['default', 'default', anna.id]);
+});
+
+test('personal bests are kept per profile', async t => {
+  const { browser, worker, type, evaluate } = await setup(t);
+  const anna = await evaluate(`addProfile('Anna')`);
+
+  async function session(gapMs) {
+    await worker.send({ action: 'start' });
+    await type('x'.repeat(200), { gapMs });
+    await worker.send({ action: 'stop' });
+  }
+
+  await session(100);                            // the default profile's record
+  await evaluate(`setActiveProfile('${anna.id}')`);
+  await browser.settle();
+  await session(300);                            // Anna's first
+  await session(200);                            // beats Anna's, not the default's
+  assert.deepEqual(browser.bus.notifications.map(n => n.title), ['New personal best!']);
+  assert.match(browser.bus.notifications[0].message, /previous best of 40 WPM/);
+});
+
+test('the popup shows the active profile and switches between them', async t => {
+  const { browser, worker, evaluate, open } = await setup(t);
+  const anna = await evaluate(`addProfile('Anna')`);
+  const now  = new Date(browser.clock.now()).toISOString();
+  const base = { timestamp: now, type: 'passive', duration: 60, avgCPM: 250, totalChars: 250, backspaces: 0 };
+  await evaluate(`putSessions(${JSON.stringify([
+    { ...base, id: 1, domain: 'mine.example', avgWPM: 50 },
+    { ...base, id: 2, domain: 'anna.example', avgWPM: 90, profile: anna.id },
+  ])})`);
+
+  const popup  = await open('popup/popup.html');
+  const select = popup.document.getElementById('profileSelect');
+  const domains = () => [...popup.document.querySelectorAll('.session-domain')].map(el => el.textContent);
+  await browser.settle();
+  assert.deepEqual([...select.options].map(o => o.textContent), ['Default', 'Anna', 'Manage profiles…']);
+  assert.equal(select.value, 'default');
+
+  popup.document.getElementById('tabHistory').click();
+  await browser.settle();
+  assert.deepEqual(domains(), ['mine.example']);
+
+  change(popup, 'profileSelect', anna.id, 'change');
+  await browser.settle();
+  assert.deepEqual(domains(), ['anna.example']);
+  assert.equal(popup.document.getElementById('summaryWpm').textContent, '90');
+
+  // Start names the profile, and the picker is locked while measuring
+  popup.document.getElementById('tabLive').click();
+  popup.document.getElementById('toggleBtn').click();
+  await browser.settle();
+  assert.equal(await evaluate('state.profile'), anna.id);
+  assert.equal(select.disabled, true);
+  await worker.send({ action: 'stop' });
+});
+
+test('profiles are added, renamed, switched and removed on the options page', async t => {
+  const { browser, evaluate, open } = await setup(t);
+  const options = await open('options/options.html');
+  await browser.settle();
+  const doc  = options.document;
+  const rows = () => [...doc.querySelectorAll('.profile-row')];
+
+  doc.getElementById('newProfile').value = 'Bob';
+  doc.getElementById('addProfile').click();
+  await browser.settle();
+  assert.deepEqual(rows().map(row => row.querySelector('input').value), ['Default', 'Bob']);
+
+  const bob   = rows()[1];
+  const input = bob.querySelector('input');
+  input.value = 'Robert';
+  input.dispatchEvent(new options.window.Event('change', { bubbles: true }));
+  await browser.settle();
+  rows()[1].querySelector('[data-use]').click();
+  await browser.settle();
+
+  const settings = await evaluate('loadSettings()');
+  assert.equal(settings.profiles[1].name, 'Robert');
+  assert.equal(settings.profile, bob.dataset.id);
+  assert.equal(rows()[1].querySelector('.profile-active').textContent, 'Active');
+  // The default profile cannot be removed
+  assert.equal(rows()[0].querySelector('[data-remove]'), null);
+
+  rows()[1].querySelector('[data-remove]').click();
+  await browser.settle();
+  assert.equal(rows().length, 1);
+  assert.equal((await evaluate('loadSettings()')).profile, 'default');
+});
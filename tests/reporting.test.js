@@ -0,0 +1,262 @@
+'use strict';
+
+// Team reporting against the reference server in tools/: what a report
+// contains, the retry queue while the server is unreachable, the server's
+// validation and leaderboard, and the popup's Team tab.  Requests go over
+// real sockets, so the tests wait for them in real time.
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('node:fs');
+const os     = require('node:os');
+const path   = require('node:path');
+const http   = require('node:http');
+const { startBrowser, connectTab } = require('./harness/fixtures');
+const { createReportServer } = require('../tools/report-server');
+
+const REPORT = { format: 'typing-speed-meter-report', version: 1 };
+
+// Polls `check` until it returns something truthy
+async function waitFor(check, { timeoutMs = 5000 } = {}) {
+  const until = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > until) throw new Error('Timed out waiting for the condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+async function listen(t, server, port = 0) {
+  await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  return `http://127.0.0.1:${server.address().port}/`;
+}
+
+// A port nothing is listening on
+async function closedPort() {
+  const server = http.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+async function setup(t, settings = {}) {
+  const opened = await startBrowser(t, { settings: { reportEnabled: true, ...settings } });
+  const { browser, worker } = opened;
+  const tab    = connectTab(browser);
+
+  async function session(text = 'x'.repeat(60)) {
+    await worker.send({ action: 'start' });
+    await tab.type(text);
+    await worker.send({ action: 'stop' });
+  }
+
+  return {
+    ...opened,
+    session,
+    queue: () => browser.bus.storage.local.data.reportQueue ?? { items: [] },
+  };
+}
+
+function post(url, body) {
+  return fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+}
+
+test('saved sessions are reported anonymously; names and sites only when allowed', async t => {
+  const { server, store } = createReportServer();
+  const url = await listen(t, server);
+  const { browser, session, evaluate, queue } = await setup(t, { reportUrl: url });
+
+  await session();
+  await waitFor(() => store.size === 1);
+  const [first] = [...store.values()];
+  const [saved] = await evaluate('getSessions()');
+  assert.match(first.reporter.id, /^[0-9a-f-]{36}$/);
+  assert.equal(first.reporter.name, null);
+  assert.deepEqual(first.session, {
+    id:        saved.id,
+    timestamp: saved.timestamp,
+    type:      'passive',
+    duration:  saved.duration,
+    wpm:       saved.avgWPM,
+    chars:     60,
+    netWpm:    saved.netWPM,
+    accuracy:  100,
+  });
+
+  await evaluate('saveSettings({ reportNames: true, reportDomains: true })');
+  await browser.settle();
+  await session();
+  await waitFor(() => store.size === 2);
+  const second = [...store.values()][1];
+  assert.deepEqual(second.reporter, { id: first.reporter.id, name: 'Default' });
+  assert.equal(second.session.domain, 'example.com');
+  assert.deepEqual(queue().items, []);
+});
+
+test('reports wait while the server is unreachable and are retried with growing delays', async t => {
+  const port = await closedPort();
+  const { browser, session, queue } = await setup(t, { reportUrl: `http://127.0.0.1:${port}/` });
+  const retryIn = () => browser.bus.alarms.get('reportRetry').scheduledTime - browser.clock.now();
+
+  await session();
+  await waitFor(() => queue().attempts === 1);
+  assert.equal(retryIn(), 60_000);
+
+  // A session saved meanwhile joins the queue without an early retry
+  await session();
+  await waitFor(() => queue().items.length === 2);
+  assert.equal(queue().attempts, 1);
+
+  await browser.advance(retryIn());
+  await waitFor(() => queue().attempts === 2);
+  assert.equal(retryIn(), 120_000);
+
+  // The server comes back; the next retry delivers both
+  const { server, store } = createReportServer();
+  await listen(t, server, port);
+  await browser.advance(retryIn());
+  await waitFor(() => store.size === 2);
+  await waitFor(() => queue().items.length === 0);
+  assert.equal(queue().attempts, 0);
+  await browser.settle();
+  assert.equal(browser.bus.alarms.has('reportRetry'), false);
+});
+
+test('a refused batch is dropped, and turning reporting off discards the queue', async t => {
+  let requests = 0;
+  const refusing = http.createServer((req, res) => {
+    requests++;
+    req.resume();
+    req.on('end', () => res.writeHead(400).end());
+  });
+  const url = await listen(t, refusing);
+  const { browser, session, evaluate, queue } = await setup(t, { reportUrl: url });
+
+  await session();
+  await waitFor(() => requests === 1 && queue().items?.length === 0);
+  assert.equal(browser.bus.alarms.has('reportRetry'), false);
+
+  await evaluate(`saveSettings({ reportUrl: 'http://127.0.0.1:${await closedPort()}/' })`);
+  await browser.settle();
+  await session();
+  await waitFor(() => queue().items.length === 1);
+  await evaluate('saveSettings({ reportEnabled: false })');
+  await browser.settle();
+  await waitFor(() => queue().items.length === 0);
+  assert.equal(browser.bus.alarms.has('reportRetry'), false);
+
+  // Sessions saved with reporting off are not queued
+  await session();
+  await browser.settle();
+  assert.deepEqual(queue().items, []);
+});
+
+test('the reference server validates reports and ranks reporters by weighted WPM', async t => {
+  const now  = Date.UTC(2026, 0, 20, 12);
+  const dir  = fs.mkdtempSync(path.join(os.tmpdir(), 'tsm-reports-'));
+  const file = path.join(dir, 'reports.json');
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const { server } = createReportServer({ file, now: () => now });
+  const url = await listen(t, server);
+
+  const ago     = days => new Date(now - days * 86_400_000).toISOString();
+  const ada     = { id: 'ada-0001', name: 'Ada' };
+  const anon    = { id: 'anon-0002', name: null };
+  const session = (id, daysAgo, duration, wpm, accuracy) =>
+    ({ id, timestamp: ago(daysAgo), type: 'passive', duration, wpm, chars: wpm * duration / 12, accuracy });
+
+  const preflight = await fetch(url, { method: 'OPTIONS' });
+  assert.equal(preflight.status, 204);
+  assert.equal(preflight.headers.get('access-control-allow-origin'), '*');
+
+  assert.equal((await post(url, { ...REPORT, version: 2, reports: [] })).status, 400);
+  assert.equal((await post(url, { ...REPORT, reports: [{ reporter: { id: 'x' }, session: session(1, 0, 60, 50) }] })).status, 400);
+  assert.equal((await post(url, { ...REPORT, reports: [{ reporter: ada, session: { ...session(1, 0, 60, 50), type: 'other' } }] })).status, 400);
+  assert.equal((await fetch(url, { method: 'POST', body: '{' })).status, 400);
+  assert.equal((await fetch(url, { method: 'POST', body: 'x'.repeat(1024 * 1024 + 1) })).status, 413);
+
+  const accepted = await post(url, { ...REPORT, reports: [
+    { reporter: { ...ada, name: 'Ada L.' }, session: session(1, 3, 60, 40, 90) },
+    { reporter: ada,  session: session(2, 1, 180, 80, 98) },
+    { reporter: ada,  session: session(2, 1, 180, 80, 98) },     // sent twice
+    { reporter: anon, session: session(7, 2, 120, 70, 95) },
+    { reporter: anon, session: session(8, 20, 600, 100, 99) },
+  ] });
+  assert.deepEqual(await accepted.json(), { accepted: 5 });
+
+  const board = async period => (await (await fetch(`${url}?period=${period}`)).json());
+  const week  = await board('week');
+  assert.equal(week.format, 'typing-speed-meter-leaderboard');
+  assert.deepEqual(week.entries, [
+    { id: 'ada-0001',  name: 'Ada', sessions: 2, activeTime: 240, wpm: 70, accuracy: 96 },
+    { id: 'anon-0002', name: null,  sessions: 1, activeTime: 120, wpm: 70, accuracy: 95 },
+  ]);
+  assert.deepEqual((await board('month')).entries.map(e => [e.id, e.wpm]), [['anon-0002', 95], ['ada-0001', 70]]);
+  assert.equal((await fetch(`${url}?period=year`)).status, 400);
+
+  // Reports survive a restart when kept in a file
+  const restarted = createReportServer({ file, now: () => now });
+  assert.equal(restarted.store.size, 4);
+});
+
+test('the popup Team tab shows the leaderboard with your own row marked', async t => {
+  const { server } = createReportServer({ now: () => Date.UTC(2026, 0, 5, 9) });
+  const url = await listen(t, server);
+  const { browser, session, open, queue } = await setup(t, { reportUrl: url, reportNames: true });
+  await session();
+  await waitFor(() => queue().items?.length === 0);
+  await post(url, { ...REPORT, reports: [{
+    reporter: { id: 'teammate-01', name: '<b>Bob</b>' },
+    session:  { id: 1, timestamp: new Date(Date.UTC(2026, 0, 4)).toISOString(), type: 'test', duration: 60, wpm: 999, chars: 5000 },
+  }] });
+
+  const popup = await open('popup/popup.html');
+  const doc   = popup.document;
+  doc.getElementById('tabTeam').click();
+  const rows = await waitFor(() => {
+    const found = [...doc.querySelectorAll('#teamList .report-row')];
+    return found.length === 2 && found;
+  });
+  assert.equal(doc.getElementById('teamOff').classList.contains('hidden'), true);
+  assert.deepEqual(rows.map(row => row.querySelector('.report-name').textContent),
+    ['1<b>Bob</b>', '2Default (you)']);
+  assert.equal(rows[1].classList.contains('team-self'), true);
+  assert.equal(rows[0].querySelector('.report-time').textContent, '999 WPM');
+  assert.match(rows[1].querySelector('.report-meta').textContent, /^1 session · 12s · 100% accuracy$/);
+  assert.equal(doc.getElementById('teamStatus').classList.contains('hidden'), true);
+
+  // An unreachable server is reported in the panel
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  doc.querySelector('#teamPeriod [data-period="all"]').click();
+  await waitFor(() => /could not be reached/.test(doc.getElementById('teamStatus').textContent));
+  assert.equal(doc.querySelectorAll('#teamList .report-row').length, 0);
+  await browser.settle();
+});
+
+test('with reporting off the Team tab points to the options page, which only takes http(s) URLs', async t => {
+  const { browser, open, evaluate } = await setup(t, { reportEnabled: false });
+  const popup = await open('popup/popup.html');
+  popup.document.getElementById('tabTeam').click();
+  await browser.settle();
+  assert.equal(popup.document.getElementById('teamOff').classList.contains('hidden'), false);
+  assert.equal(popup.document.getElementById('teamOn').classList.contains('hidden'), true);
+  popup.document.getElementById('setupTeam').click();
+  assert.deepEqual(browser.bus.openedTabs, ['options']);
+
+  const options = await open('options/options.html');
+  await browser.settle();
+  const field = options.document.querySelector('[name="reportUrl"]');
+  for (const value of ['ftp://team.example/', '  https://team.example/reports  ']) {
+    field.value = value;
+    field.dispatchEvent(new options.window.Event('change', { bubbles: true }));
+    await browser.settle();
+  }
+  assert.equal((await evaluate('loadSettings()')).reportUrl, 'https://team.example/reports');
+});
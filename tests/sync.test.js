@@ -0,0 +1,113 @@
+'use strict';
+
+// History sync through chrome.storage.sync: this device's summaries pushed
+// to its own chunks, other devices' chunks merged into history, and merged
+// sessions deleted here staying deleted.
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { startBrowser, connectTab } = require('./harness/fixtures');
+
+const DAY = 86_400_000;
+
+async function setup(t, settings = {}) {
+  const opened = await startBrowser(t, { settings: { syncHistory: true, ...settings } });
+  const { browser, worker, evaluate } = opened;
+  const tab    = connectTab(browser);
+  return {
+    ...opened,
+    sync:     browser.bus.storage.sync,
+    deviceId: () => evaluate('getDeviceId()'),
+    ids:      async () => (await evaluate('getSessions()')).map(s => s.id),
+    session:  async text => {
+      await worker.send({ action: 'start' });
+      await tab.type(text);
+      await worker.send({ action: 'stop' });
+      await browser.settle();
+    },
+    // Another device rewriting its chunk, as storage.sync delivers it here
+    otherDevice: async summaries => {
+      await browser.bus.storage.sync.set({ 'history:other:0': summaries });
+      await browser.settle();
+    },
+  };
+}
+
+// A summary in the SYNC_FIELDS order of shared/sync.js
+function summary(id, timestamp, domain = 'other.example') {
+  return [id, timestamp, 'passive', domain, 60, 50, 250, 48, 96, 250, 5, 0, null];
+}
+
+test('saved sessions are pushed to this device\'s chunk only', async t => {
+  const { browser, sync, session, deviceId, evaluate, otherDevice } = await setup(t);
+  const now = browser.clock.now();
+  await otherDevice([summary(111, now - DAY)]);
+  await session('hello');
+
+  const device  = await deviceId();
+  const [saved] = await evaluate('getSessions()');
+  const chunk   = sync.data[`history:${device}:0`];
+  assert.deepEqual(chunk.map(s => s[0]), [saved.id]);
+  assert.equal(chunk[0][3], 'example.com');
+  // The merged session is not mirrored back under this device
+  assert.deepEqual(Object.keys(sync.data).filter(key => key.startsWith('history:')).sort(),
+    [`history:${device}:0`, 'history:other:0']);
+
+  // Switching sync off removes this device's chunks and leaves the rest
+  await evaluate('saveSettings({ syncHistory: false })');
+  await browser.settle();
+  assert.deepEqual(Object.keys(sync.data).filter(key => key.startsWith('history:')), ['history:other:0']);
+});
+
+test('other devices\' chunks are merged into history without overriding local sessions', async t => {
+  const { browser, evaluate, ids, session, deviceId, otherDevice } = await setup(t);
+  await session('local');
+  const [local] = await evaluate('getSessions()');
+  const now = browser.clock.now();
+
+  await otherDevice([summary(111, now - DAY), summary(local.id, now, 'elsewhere.example'), ['broken']]);
+  assert.deepEqual(await ids(), [local.id, 111]);
+  const merged = (await evaluate('getSessions()')).find(s => s.id === 111);
+  assert.equal(merged.synced, true);
+  assert.equal(merged.device, 'other');
+  assert.equal(merged.domain, 'other.example');
+  assert.equal((await evaluate('getSessions()'))[0].domain, 'example.com');
+
+  // This device's own chunk is never merged back into its history
+  await browser.bus.storage.sync.set({ [`history:${await deviceId()}:5`]: [summary(333, now - DAY)] });
+  await browser.settle();
+  assert.deepEqual(await ids(), [local.id, 111]);
+});
+
+test('a merged session deleted in the popup is not merged back', async t => {
+  const { browser, ids, openPopup, otherDevice, evaluate } = await setup(t);
+  const now = browser.clock.now();
+  await otherDevice([summary(111, now - DAY), summary(222, now - 2 * DAY)]);
+
+  const popup = await openPopup();
+  popup.document.getElementById('tabHistory').click();
+  await browser.settle();
+  popup.document.querySelector('.session-item[data-id="111"] .session-delete').click();
+  await browser.settle();
+  assert.deepEqual(await ids(), [222]);
+
+  // The other device rewrites its chunk, then the browser restarts
+  await otherDevice([summary(111, now - DAY), summary(222, now - 2 * DAY), summary(333, now)]);
+  await evaluate('syncHistory({ pull: true })');
+  assert.deepEqual(await ids(), [333, 222]);
+
+  // "Clear all" is remembered the same way
+  popup.close();
+  const again = await openPopup();
+  again.document.getElementById('tabHistory').click();
+  await browser.settle();
+  again.document.getElementById('clearSessions').click();
+  await browser.settle();
+  await evaluate('syncHistory({ pull: true })');
+  assert.deepEqual(await ids(), []);
+
+  // Once no chunk lists a deleted id it is forgotten
+  await otherDevice([summary(333, now)]);
+  await evaluate('syncHistory({ pull: true })');
+  assert.deepEqual(browser.bus.storage.local.data.syncDeleted, [333]);
+});
@@ -0,0 +1,189 @@
+'use strict';
+
+// Session tags and notes: auto-tag rules in the worker, tagging a session
+// from the popup after Stop, and editing, filtering and per-tag averages in
+// History.
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { createKeyboard } = require('./harness/keyboard');
+const { plain, startBrowser, text, change, session } = require('./harness/fixtures');
+
+const DAY  = 86_400_000;
+const PAGE = '<!DOCTYPE html><body><textarea></textarea></body>';
+
+async function setup(t, settings = {}) {
+  const opened   = await startBrowser(t, { settings });
+  const keyboard = createKeyboard(opened.browser);
+  return {
+    ...opened,
+    openTab: (url, html = PAGE) => opened.openTab(url, html),
+    type:    (tab, timeline) => keyboard.replay(tab.document.querySelector('textarea'), timeline),
+  };
+}
+
+test('auto-tag rules match domains and page addresses', async t => {
+  const { worker, evaluate, openTab, type } = await setup(t, {
+    tagRules: [
+      { name: 'Code Review', domains: ['github.com/*/pull/*', 'gitlab.com/*/merge_requests'] },
+      { name: 'email',       domains: ['mail.example.com'] },
+      { name: 'work',        domains: ['github.com', 'mail.example.com'] },
+    ],
+  });
+
+  const matches = await evaluate(`[
+    'https://github.com/acme/app/pull/7/files', 'https://github.com/acme/app', 'https://gitlab.com/acme/merge_requests',
+    'https://gitlab.com/acme/merge_requests/12', 'https://gitlab.com/acme/merge_requests_old', 'https://www.github.com/a/pull/1',
+  ].map(url => matchesUrlPattern(url, url.includes('gitlab') ? 'gitlab.com/*/merge_requests' : 'github.com/*/pull/*'))`);
+  assert.deepEqual(matches, [true, false, true, true, false, true]);
+
+  const review = await openTab('https://github.com/acme/app/pull/7');
+  const mail   = await openTab('https://inbox.mail.example.com/');
+  await worker.send({ action: 'start' });
+  await type(review, ['looks good']);
+  await type(mail,   ['thanks']);
+  const stopped = await worker.send({ action: 'stop' });
+  const [saved] = await evaluate('getSessions()');
+  assert.deepEqual(saved.tags, ['code review', 'work', 'email']);
+  assert.equal(stopped.sessionId, saved.id);
+  assert.deepEqual(stopped.tags, saved.tags);
+
+  // Without a matching rule the session has no tags at all
+  const other = await openTab('https://example.org/');
+  await worker.send({ action: 'start' });
+  await type(other, ['plain']);
+  await worker.send({ action: 'stop' });
+  assert.equal((await evaluate('getSessions()'))[0].tags, undefined);
+});
+
+test('URL rules look at the tab\'s page for input typed in an iframe', async t => {
+  const { browser, worker, evaluate, openTab, type } = await setup(t, {
+    tagRules: [{ name: 'code review', domains: ['github.com/*/pull/*'] }],
+  });
+  const tab   = await openTab('https://github.com/acme/app/pull/7', '<!DOCTYPE html><body><iframe></iframe></body>');
+  const frame = tab.document.querySelector('iframe');
+  frame.contentDocument.body.innerHTML = '<textarea></textarea>';
+  // The frame runs its own content script, so its messages carry the frame's address
+  tab.inject(frame.contentWindow);
+  await browser.settle();
+
+  await worker.send({ action: 'start' });
+  await type(frame.contentWindow, ['lgtm']);
+  await worker.send({ action: 'stop' });
+  const [saved] = await evaluate('getSessions()');
+  assert.equal(saved.totalChars, 4);
+  assert.deepEqual(saved.tags, ['code review']);
+});
+
+test('a stopped session is tagged from the popup', async t => {
+  const { browser, evaluate, openTab, openPopup, type } = await setup(t, {
+    tagRules: [{ name: 'docs', domains: ['docs.example'] }],
+  });
+  const tab    = await openTab('https://docs.example/');
+  const popup  = await openPopup();
+  const toggle = popup.document.getElementById('toggleBtn');
+  const form   = popup.document.getElementById('tagForm');
+
+  toggle.click();
+  await browser.settle();
+  await type(tab, ['a'.repeat(30)]);
+  toggle.click();
+  await browser.settle();
+  assert.equal(form.classList.contains('hidden'), false);
+  assert.equal(popup.document.getElementById('tagInput').value, 'docs');
+
+  change(popup, 'tagInput', 'docs, Code  review,, docs');
+  change(popup, 'noteInput', '  Release notes draft  ');
+  form.querySelector('[type="submit"]').click();
+  await browser.settle();
+  assert.equal(form.classList.contains('hidden'), true);
+  const [saved] = await evaluate('getSessions()');
+  assert.deepEqual(saved.tags, ['docs', 'code review']);
+  assert.equal(saved.note, 'Release notes draft');
+
+  popup.document.getElementById('tabHistory').click();
+  await browser.settle();
+  const item = popup.document.querySelector('.session-item');
+  assert.deepEqual([...item.querySelectorAll('.chip-tag')].map(el => el.textContent), ['docs', 'code review']);
+  assert.equal(item.querySelector('.session-note').textContent, 'Release notes draft');
+
+  // Skip leaves the session as auto-tagged; the next Start hides the form
+  popup.document.getElementById('tabLive').click();
+  toggle.click();
+  await browser.settle();
+  await type(tab, ['b'.repeat(10)]);
+  toggle.click();
+  await browser.settle();
+  popup.document.getElementById('tagSkip').click();
+  assert.equal(form.classList.contains('hidden'), true);
+  assert.deepEqual((await evaluate('getSessions()'))[0].tags, ['docs']);
+});
+
+test('History filters by tag, averages each tag and edits tags in the detail view', async t => {
+  const { browser, evaluate, openPopup } = await setup(t);
+  const now = browser.clock.now();
+  await evaluate(`putSessions(${JSON.stringify([
+    session(1, now - 2 * DAY,     { duration: 300, avgWPM: 40, tags: ['email'] }),
+    session(2, now - DAY,         { duration: 100, avgWPM: 80, tags: ['code review', 'email'], note: 'Big refactor' }),
+    session(3, now - 3_600_000,   { duration: 100, avgWPM: 60 }),
+  ])})`);
+  const popup = await openPopup();
+  const doc   = popup.document;
+  doc.getElementById('tabHistory').click();
+  await browser.settle();
+
+  const tagRows = () => [...doc.querySelectorAll('#tagSummary .tag-row')].map(row =>
+    row.textContent.replace(/\s+/g, ' ').trim());
+  // Weighted by active time: email is (40 × 300 + 80 × 100) / 400
+  assert.deepEqual(tagRows(), ['email 2 · 6m 40s 50 WPM', 'code review 1 · 1m 40s 80 WPM']);
+  assert.deepEqual([...doc.getElementById('filterTag').options].map(o => o.value), ['', 'code review', 'email']);
+
+  change(popup, 'filterTag', 'email');
+  await browser.settle();
+  assert.equal(text(popup, 'sessionsCount'), '2 sessions of 3');
+  assert.equal(text(popup, 'summaryWpm'), '50');
+
+  // A per-tag row toggles the filter
+  doc.querySelector('#tagSummary [data-tag="code review"]').click();
+  assert.equal(doc.getElementById('filterTag').value, 'code review');
+  assert.equal(text(popup, 'sessionsCount'), '1 session of 3');
+  doc.querySelector('#tagSummary [data-tag="code review"]').click();
+  assert.equal(text(popup, 'sessionsCount'), '3 sessions');
+
+  // Search looks in notes too
+  change(popup, 'filterQuery', 'refactor');
+  assert.equal(text(popup, 'sessionsCount'), '1 session of 3');
+  change(popup, 'filterQuery', '');
+
+  // Tagging an untagged session later
+  doc.querySelector('.session-item[data-id="3"]').click();
+  assert.equal(doc.getElementById('detailTags').value, '');
+  change(popup, 'detailTags', 'practice');
+  change(popup, 'detailNote', 'Warm-up');
+  doc.querySelector('#detailTagForm [type="submit"]').click();
+  await browser.settle();
+  assert.equal(text(popup, 'detailTagStatus'), 'Saved');
+  const saved = (await evaluate('getSessions()')).find(s => s.id === 3);
+  assert.deepEqual([saved.tags, saved.note], [['practice'], 'Warm-up']);
+  assert.deepEqual([...doc.getElementById('filterTag').options].map(o => o.value),
+    ['', 'code review', 'email', 'practice']);
+
+  // Clearing both removes the fields
+  change(popup, 'detailTags', ' , ');
+  change(popup, 'detailNote', '');
+  doc.querySelector('#detailTagForm [type="submit"]').click();
+  await browser.settle();
+  const cleared = (await evaluate('getSessions()')).find(s => s.id === 3);
+  assert.equal('tags' in cleared || 'note' in cleared, false);
+});
+
+test('tags and notes survive a CSV export and import', async t => {
+  const { openPopup } = await setup(t);
+  const popup = await openPopup();
+  const { sessionsToCsv, parseImport } = popup.window;
+  const csv = sessionsToCsv([session(5, Date.UTC(2026, 0, 2), { tags: ['code review', 'email'], note: 'Said "hi", twice' })]);
+  const { sessions, invalid } = plain(parseImport(csv, 'history.csv', []));
+  assert.equal(invalid, 0);
+  assert.deepEqual(sessions[0].tags, ['code review', 'email']);
+  assert.equal(sessions[0].note, 'Said "hi", twice');
+});
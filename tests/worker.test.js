@@ -0,0 +1,193 @@
+'use strict';
+
+// The service worker end to end: messages in, stats and saved sessions out.
+// Input arrives as it does from a content script, with the fake clock
+// moving between keystrokes.
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser } = require('./harness/browser');
+const { plain, connectTab } = require('./harness/fixtures');
+
+async function setup(options) {
+  const browser = createBrowser(options);
+  const worker  = await browser.startWorker();
+  const tab     = connectTab(browser);
+
+  async function sessions() {
+    return plain(await worker.evaluate('getSessions()'));
+  }
+
+  return { browser, worker, tab, type: tab.type, input: tab.input, sessions };
+}
+
+test('a manual session is measured and saved to history when stopped', async () => {
+  const { browser, worker, type, input, sessions } = await setup();
+  const started = await worker.send({ action: 'start' });
+  assert.equal(started.success, true);
+  assert.equal(started.isActive, true);
+
+  await type('the quick brown fox');
+  await input('delete');
+  await input('paste', { length: 12 });
+  await input('assisted', { length: 8, source: 'drop' });
+  await browser.advance(5_000);
+
+  const stats = await worker.send({ action: 'getStats' });
+  assert.equal(stats.totalChars, 19);
+  assert.equal(stats.backspaces, 1);
+  assert.equal(stats.pastedChars, 12);
+  // The burst runs 3.8 s to the delete, paste and drop, which keep it open 2 s more
+  assert.equal(stats.activeTime, 5);
+  assert.equal(stats.wpm, Math.round(19 / 5 / (5.8 / 60)));
+
+  const final = await worker.send({ action: 'stop' });
+  assert.equal(final.isActive, false);
+  const [saved] = await sessions();
+  assert.equal(saved.type, 'passive');
+  assert.equal(saved.domain, 'example.com');
+  assert.equal(saved.avgWPM, final.wpm);
+  assert.equal(saved.totalChars, 19);
+  assert.equal(saved.pastedChars, 12);
+  assert.equal(saved.assistedChars, 20);
+  assert.deepEqual(saved.assisted, { paste: 12, drop: 8 });
+  assert.equal(saved.duration, 5);
+  assert.equal(saved.auto, false);
+  assert.equal(saved.rhythm.bursts, 1);
+  assert.equal(typeof saved.device, 'string');
+  assert.deepEqual(saved.domains, { 'example.com': 19 });
+});
+
+test('a session with nothing typed is not saved', async () => {
+  const { worker, input, sessions } = await setup();
+  await worker.send({ action: 'start' });
+  await input('paste', { length: 40 });
+  await worker.send({ action: 'stop' });
+  assert.deepEqual(await sessions(), []);
+});
+
+test('a session survives the worker being suspended', async () => {
+  const { browser, worker, type, sessions } = await setup();
+  await worker.send({ action: 'start' });
+  await type('before');
+  const before = await worker.send({ action: 'getStats' });
+
+  // Chrome drops the worker's memory; the mirrored state brings it back
+  const restarted = await browser.startWorker();
+  const after = await restarted.send({ action: 'getStats' });
+  assert.equal(after.isActive, true);
+  assert.equal(after.totalChars, before.totalChars);
+
+  await type(' after');
+  await restarted.send({ action: 'stop' });
+  const [saved] = await sessions();
+  assert.equal(saved.totalChars, 12);
+});
+
+test('pause and resume: input is dropped and the badge shows the state', async () => {
+  const { browser, worker, type } = await setup();
+  await worker.send({ action: 'start' });
+  await type('abcdefghij');
+  await browser.advance(1_000);
+  assert.match(browser.bus.badge.text, /^\d+$/);
+
+  const paused = await worker.send({ action: 'pause' });
+  assert.equal(paused.isPaused, true);
+  assert.equal(browser.bus.badge.text, 'II');
+  await type('ignored');
+  await browser.advance(60_000);
+
+  const resumed = await worker.send({ action: 'resume' });
+  assert.equal(resumed.isPaused, false);
+  assert.equal(resumed.totalChars, 10);
+  // Elapsed stops while paused: 3 s from the first keystroke to the pause
+  assert.equal(resumed.elapsedTime, 3);
+});
+
+test('live stats are pushed to the active tab while measuring', async () => {
+  const { browser, worker, tab, type } = await setup();
+  const received = [];
+  tab.context.onMessage.addListener(message => { received.push(message); });
+
+  await worker.send({ action: 'start' });
+  assert.deepEqual(received.shift(), { type: 'sessionState', isActive: true });
+  await type('hello');
+  await browser.advance(250);
+
+  const updates = received.filter(m => m.type === 'statsUpdate');
+  assert.ok(updates.length >= 4, `only ${updates.length} updates`);
+  assert.equal(updates.at(-1).totalChars, 5);
+
+  await worker.send({ action: 'stop' });
+  assert.deepEqual(received.at(-1), { type: 'sessionState', isActive: false });
+});
+
+test('auto-tracking starts on the first character and stops after the idle limit', async () => {
+  const { browser, input, type, sessions } = await setup({
+    settings: { autoTrack: 'everywhere', autoStopIdleMinutes: 1 },
+  });
+
+  // Deletes and pastes alone never open a session
+  await input('delete');
+  await input('paste', { length: 5 });
+  assert.equal((await browser.worker.send({ action: 'getStats' })).isActive, false);
+
+  await type('typing');
+  const stats = await browser.worker.send({ action: 'getStats' });
+  assert.equal(stats.isActive, true);
+  assert.equal(stats.isAuto, true);
+
+  // The auto-stop alarm ends it once a minute has passed without input
+  await browser.advance(90_000);
+  assert.equal((await browser.worker.send({ action: 'getStats' })).isActive, false);
+  const [saved] = await sessions();
+  assert.equal(saved.auto, true);
+  assert.equal(saved.totalChars, 6);
+  // Stopped at the last keystroke, so the idle wait is not elapsed time
+  assert.equal(saved.elapsed, 1);
+});
+
+test('input after the idle limit saves the idle auto session as it was and opens a new one', async () => {
+  const { browser, type, sessions } = await setup({
+    settings: { autoTrack: 'everywhere', autoStopIdleMinutes: 1, tagRules: [{ name: 'docs', domains: ['a.example'] }] },
+  });
+  await type('x'.repeat(60), { gapMs: 100, domain: 'a.example' });
+  const before = plain(await browser.worker.evaluate('state'));
+  assert.equal(before.series.length, 1);
+
+  // No alarm fires: the next keystroke finds the session idle and rolls it over
+  browser.clock.advance(90_000);
+  await type('y', { domain: 'b.example' });
+  const [saved] = await sessions();
+  assert.equal(saved.domain, 'a.example');
+  assert.deepEqual(saved.domains, { 'a.example': 60 });
+  // Stopping adds a final sample to the timeline recorded so far
+  assert.deepEqual(saved.series.slice(0, -1), before.series);
+  assert.deepEqual(saved.tags, ['docs']);
+  assert.equal(saved.totalChars, 60);
+
+  const stats = await browser.worker.send({ action: 'getStats' });
+  assert.equal(stats.isActive, true);
+  assert.equal(stats.totalChars, 1);
+});
+
+test('denylisted sites are never measured', async () => {
+  const { worker, type, sessions } = await setup({ settings: { denylist: ['bank.example'] } });
+  await worker.send({ action: 'start' });
+  await type('secret', { domain: 'login.bank.example' });
+  await type('ok');
+  const stats = await worker.send({ action: 'stop' });
+  assert.equal(stats.totalChars, 2);
+  const [saved] = await sessions();
+  assert.deepEqual(saved.domains, { 'example.com': 2 });
+});
+
+test('a new personal best is announced after the first record', async () => {
+  const { browser, worker, type } = await setup();
+  for (const gapMs of [300, 150]) {
+    await worker.send({ action: 'start' });
+    await type('x'.repeat(200), { gapMs });
+    await worker.send({ action: 'stop' });
+  }
+  assert.deepEqual(browser.bus.notifications.map(n => n.title), ['New personal best!']);
+});
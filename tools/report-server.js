@@ -0,0 +1,175 @@
+'use strict';
+
+// A minimal team reporting server, for trying team reporting out or running
+// it for a small team.  It accepts the session reports the extension POSTs
+// and answers GET with the leaderboard, as described in report-schema.json.
+// No dependencies; reports are kept in memory and, with --data, in a JSON
+// file so they survive a restart.
+//
+//   node tools/report-server.js [--port 8787] [--data reports.json]
+//
+// Then set the reporting URL on the options page to http://localhost:8787/
+
+const http = require('node:http');
+const fs   = require('node:fs');
+
+const REPORT_FORMAT      = 'typing-speed-meter-report';
+const LEADERBOARD_FORMAT = 'typing-speed-meter-leaderboard';
+const VERSION            = 1;
+const MAX_BODY_BYTES     = 1024 * 1024;
+const MAX_REPORTS        = 500;    // per request
+const PERIOD_DAYS        = { week: 7, month: 30, all: Infinity };
+
+// ── Validation ───────────────────────────────────────────────
+const isCount   = v => Number.isFinite(v) && v >= 0;
+const isPercent = v => Number.isFinite(v) && v >= 0 && v <= 100;
+
+function isReporter(r) {
+  return r && typeof r === 'object' &&
+    typeof r.id === 'string' && /^[A-Za-z0-9-]{8,64}$/.test(r.id) &&
+    (r.name === null || r.name === undefined || (typeof r.name === 'string' && r.name.length <= 40));
+}
+
+function isSession(s) {
+  return s && typeof s === 'object' &&
+    Number.isSafeInteger(s.id) && s.id > 0 &&
+    typeof s.timestamp === 'string' && !Number.isNaN(Date.parse(s.timestamp)) &&
+    (s.type === 'passive' || s.type === 'test') &&
+    isCount(s.duration) && isCount(s.wpm) && isCount(s.chars) &&
+    (s.netWpm   === undefined || isCount(s.netWpm)) &&
+    (s.accuracy === undefined || isPercent(s.accuracy)) &&
+    (s.domain   === undefined || (typeof s.domain === 'string' && s.domain.length <= 253));
+}
+
+// Returns the reports in `body`, or null if it does not match the schema
+function parseReports(body) {
+  if (!body || body.format !== REPORT_FORMAT || body.version !== VERSION) return null;
+  const { reports } = body;
+  if (!Array.isArray(reports) || reports.length > MAX_REPORTS) return null;
+  return reports.every(r => r && isReporter(r.reporter) && isSession(r.session)) ? reports : null;
+}
+
+// ── Leaderboard ──────────────────────────────────────────────
+// One entry per reporter over the period; WPM and accuracy are weighted by
+// active time, as in the extension's own averages
+function buildLeaderboard(store, period, now) {
+  const since   = now - PERIOD_DAYS[period] * 86_400_000;
+  const entries = new Map();
+  for (const { reporter, session } of store.values()) {
+    if (Date.parse(session.timestamp) < since) continue;
+    const entry = entries.get(reporter.id) ??
+      { id: reporter.id, name: null, sessions: 0, activeTime: 0, wpmTime: 0, accTime: 0, accWeight: 0, latest: 0 };
+    const at = Date.parse(session.timestamp);
+    // The most recent report carries the current name
+    if (at >= entry.latest) { entry.name = reporter.name ?? null; entry.latest = at; }
+    entry.sessions   += 1;
+    entry.activeTime += session.duration;
+    entry.wpmTime    += session.wpm * session.duration;
+    if (session.accuracy !== undefined) {
+      entry.accTime   += session.accuracy * session.duration;
+      entry.accWeight += session.duration;
+    }
+    entries.set(reporter.id, entry);
+  }
+  return [...entries.values()]
+    .map(e => ({
+      id:         e.id,
+      name:       e.name,
+      sessions:   e.sessions,
+      activeTime: e.activeTime,
+      wpm:        e.activeTime > 0 ? Math.round(e.wpmTime / e.activeTime) : 0,
+      accuracy:   e.accWeight > 0 ? Math.round(e.accTime / e.accWeight) : null,
+    }))
+    .sort((a, b) => b.wpm - a.wpm || b.activeTime - a.activeTime);
+}
+
+// ── Server ───────────────────────────────────────────────────
+// The extension calls from its own origin, so every answer allows any origin
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin':  '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+function send(res, status, body) {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        // The rest is read and thrown away, so the client still gets the answer
+        chunks.length = 0;
+        reject(Object.assign(new Error('Body too large'), { status: 413 }));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// `now` is injectable so tests can run the server on their own clock
+function createReportServer({ file = null, now = Date.now } = {}) {
+  // reporter id + session id → { reporter, session }; a resent report replaces itself
+  const store = new Map();
+  if (file && fs.existsSync(file)) {
+    for (const report of JSON.parse(fs.readFileSync(file, 'utf8'))) {
+      store.set(`${report.reporter.id}:${report.session.id}`, report);
+    }
+  }
+
+  const server = http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS_HEADERS);
+      res.end();
+      return;
+    }
+
+    if (req.method === 'GET') {
+      const period = new URL(req.url, 'http://localhost').searchParams.get('period') ?? 'week';
+      if (!(period in PERIOD_DAYS)) return send(res, 400, { error: 'Unknown period' });
+      return send(res, 200, {
+        format:  LEADERBOARD_FORMAT,
+        version: VERSION,
+        period,
+        entries: buildLeaderboard(store, period, now()),
+      });
+    }
+
+    if (req.method === 'POST') {
+      let reports;
+      try {
+        reports = parseReports(JSON.parse(await readBody(req)));
+      } catch (err) {
+        return send(res, err.status ?? 400, { error: err.status ? err.message : 'Invalid JSON' });
+      }
+      if (!reports) return send(res, 400, { error: 'Body does not match the report schema' });
+      for (const report of reports) {
+        const { reporter, session } = report;
+        store.set(`${reporter.id}:${session.id}`, { reporter: { id: reporter.id, name: reporter.name ?? null }, session });
+      }
+      if (file) fs.writeFileSync(file, JSON.stringify([...store.values()]));
+      return send(res, 200, { accepted: reports.length });
+    }
+
+    send(res, 405, { error: 'Method not allowed' });
+  });
+
+  return { server, store };
+}
+
+module.exports = { createReportServer, buildLeaderboard, parseReports };
+
+if (require.main === module) {
+  const arg  = name => { const i = process.argv.indexOf(name); return i > 0 ? process.argv[i + 1] : undefined; };
+  const port = Number(arg('--port') ?? 8787);
+  const { server } = createReportServer({ file: arg('--data') ?? null });
+  server.listen(port, () => console.log(`Typing Speed Meter report server on http://localhost:${port}/`));
+}
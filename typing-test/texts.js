@@ -0,0 +1,58 @@
+'use strict';
+
+// Prompt material for the typing test.  Words are drawn from a list of common
+// English words so random-word tests measure raw speed; passages add
+// punctuation and capitalisation.
+
+const TEST_WORDS = [
+  'the', 'be', 'of', 'and', 'a', 'to', 'in', 'he', 'have', 'it', 'that', 'for',
+  'they', 'with', 'as', 'not', 'on', 'she', 'at', 'by', 'this', 'we', 'you',
+  'do', 'but', 'from', 'or', 'which', 'one', 'would', 'all', 'will', 'there',
+  'say', 'who', 'make', 'when', 'can', 'more', 'if', 'no', 'man', 'out', 'other',
+  'so', 'what', 'time', 'up', 'go', 'about', 'than', 'into', 'could', 'state',
+  'only', 'new', 'year', 'some', 'take', 'come', 'these', 'know', 'see', 'use',
+  'get', 'like', 'then', 'first', 'any', 'work', 'now', 'may', 'such', 'give',
+  'over', 'think', 'most', 'even', 'find', 'day', 'also', 'after', 'way', 'many',
+  'must', 'look', 'before', 'great', 'back', 'through', 'long', 'where', 'much',
+  'should', 'well', 'people', 'down', 'own', 'just', 'because', 'good', 'each',
+  'those', 'feel', 'seem', 'how', 'high', 'too', 'place', 'little', 'world',
+  'very', 'still', 'nation', 'hand', 'old', 'life', 'tell', 'write', 'become',
+  'here', 'show', 'house', 'both', 'between', 'need', 'mean', 'call', 'develop',
+  'under', 'last', 'right', 'move', 'thing', 'general', 'school', 'never', 'same',
+  'another', 'begin', 'while', 'number', 'part', 'turn', 'real', 'leave', 'might',
+  'want', 'point', 'form', 'off', 'child', 'few', 'small', 'since', 'against',
+  'ask', 'late', 'home', 'interest', 'large', 'person', 'end', 'open', 'public',
+  'follow', 'during', 'present', 'without', 'again', 'hold', 'govern', 'around',
+  'possible', 'head', 'consider', 'word', 'program', 'problem', 'however', 'lead',
+  'system', 'set', 'order', 'eye', 'plan', 'run', 'keep', 'face', 'fact', 'group',
+  'play', 'stand', 'increase', 'early', 'course', 'change', 'help', 'line',
+];
+
+const TEST_PASSAGES = [
+  'The quick brown fox jumps over the lazy dog. Pack my box with five dozen liquor jugs. How vexingly quick daft zebras jump!',
+  'Good writing is clear thinking made visible. Before you type a single word, know what you want to say and who you are saying it to.',
+  'A journey of a thousand miles begins with a single step. Practice a little every day, and the speed you want will arrive on its own.',
+  'Typing well is less about moving your fingers quickly and more about never having to move them back. Accuracy first, then speed.',
+  'The best way to get better at something is to do it often, pay attention to your mistakes, and be patient with the slow parts of progress.',
+  'Rivers do not hurry, yet they carve canyons. Steady, even keystrokes will always beat frantic bursts followed by long pauses to fix errors.',
+  'When the meeting ended, everyone agreed on the plan: ship the draft on Monday, collect feedback by Wednesday, and publish on Friday.',
+  'Small habits compound. Sit up straight, keep your wrists relaxed, rest your fingers on the home row, and let your eyes stay on the screen.',
+];
+
+function randomWords(count) {
+  const words = [];
+  for (let i = 0; i < count; i++) {
+    words.push(TEST_WORDS[Math.floor(Math.random() * TEST_WORDS.length)]);
+  }
+  return words;
+}
+
+// Passages are shuffled and chained so long tests never run out of text
+function passageWords(count) {
+  const order = TEST_PASSAGES.slice().sort(() => Math.random() - 0.5);
+  const words = [];
+  for (let i = 0; words.length < count; i++) {
+    words.push(...order[i % order.length].split(' '));
+  }
+  return words.slice(0, count);
+}
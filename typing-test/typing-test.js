@@ -0,0 +1,329 @@
+'use strict';
+
+// Standalone typing test.  Unlike passive measurement, the prompt is known,
+// so every character can be marked right or wrong and uncorrected mistakes
+// count against net WPM.  Speed and accuracy use the shared definitions in
+// shared/metrics.js; the only difference is that a test is timed on the wall
+// clock from the first keystroke, with no idle exclusion.
+
+// ── Configuration ────────────────────────────────────────────
+const LENGTH_OPTIONS = {
+  time:  [15, 30, 60, 120],   // seconds
+  words: [10, 25, 50, 100],   // words
+};
+
+// Enough prompt for 120 s at 200 WPM
+const TIMED_PROMPT_WORDS = 400;
+
+let config = { mode: 'time', length: 30, source: 'words' };
+let settings = { ...DEFAULT_SETTINGS };   // for charsPerWord, historyLimit and the profile
+
+// ── State ────────────────────────────────────────────────────
+let target        = '';     // prompt text
+let typed         = [];     // characters typed at each prompt position
+let charSpans     = [];     // one <span> per prompt character
+let startTime     = null;   // first keystroke; null until the test starts
+let finished      = false;
+let totalChars    = 0;      // printable characters typed, including mistakes
+let backspaces    = 0;      // Backspace presses (no repeats)
+let deletedChars  = 0;      // characters removed, including held-key repeats
+let corrections   = 0;      // runs of consecutive Backspaces
+let lastInputKind = null;
+let charTimes     = [];     // timestamps of typed characters, for consistency
+let tickTimer     = null;
+
+// ── DOM references ───────────────────────────────────────────
+const modeGroup    = document.getElementById('modeGroup');
+const lengthGroup  = document.getElementById('lengthGroup');
+const sourceGroup  = document.getElementById('sourceGroup');
+const testArea     = document.getElementById('testArea');
+const promptEl     = document.getElementById('prompt');
+const liveProgress = document.getElementById('liveProgress');
+const liveWpm      = document.getElementById('liveWpm');
+const resultsEl    = document.getElementById('results');
+const resWpm       = document.getElementById('resWpm');
+const resNet       = document.getElementById('resNet');
+const resAcc       = document.getElementById('resAcc');
+const resCons      = document.getElementById('resCons');
+const resDetail    = document.getElementById('resDetail');
+const resSaved     = document.getElementById('resSaved');
+const restartBtn   = document.getElementById('restartBtn');
+
+// ── Settings UI ──────────────────────────────────────────────
+function renderSettings() {
+  for (const btn of modeGroup.children) {
+    const on = btn.dataset.mode === config.mode;
+    btn.classList.toggle('active', on);
+    btn.setAttribute('aria-checked', on);
+  }
+  for (const btn of sourceGroup.children) {
+    const on = btn.dataset.source === config.source;
+    btn.classList.toggle('active', on);
+    btn.setAttribute('aria-checked', on);
+  }
+  const unit = config.mode === 'time' ? 's' : 'w';
+  lengthGroup.innerHTML = LENGTH_OPTIONS[config.mode].map(n => `
+    <button data-length="${n}" role="radio" class="${n === config.length ? 'active' : ''}"
+            aria-checked="${n === config.length}">${n}${unit}</button>`).join('');
+}
+
+function setConfig(changes) {
+  config = { ...config, ...changes };
+  if (!LENGTH_OPTIONS[config.mode].includes(config.length)) {
+    config.length = LENGTH_OPTIONS[config.mode][1];
+  }
+  renderSettings();
+  resetTest();
+}
+
+modeGroup.addEventListener('click', e => {
+  const mode = e.target.closest('button')?.dataset.mode;
+  if (mode) setConfig({ mode });
+});
+lengthGroup.addEventListener('click', e => {
+  const length = Number(e.target.closest('button')?.dataset.length);
+  if (length) setConfig({ length });
+});
+sourceGroup.addEventListener('click', e => {
+  const source = e.target.closest('button')?.dataset.source;
+  if (source) setConfig({ source });
+});
+
+// ── Prompt ───────────────────────────────────────────────────
+function buildPrompt() {
+  const count = config.mode === 'time' ? TIMED_PROMPT_WORDS : config.length;
+  const words = config.source === 'passage' ? passageWords(count) : randomWords(count);
+  return words.join(' ');
+}
+
+function renderPrompt() {
+  promptEl.textContent = '';
+  charSpans = [...target].map(ch => {
+    const span = document.createElement('span');
+    span.textContent = ch;
+    promptEl.appendChild(span);
+    return span;
+  });
+  promptEl.scrollTop = 0;
+  updateCaret(0);
+}
+
+function paintChar(i) {
+  const span = charSpans[i];
+  if (!span) return;
+  span.classList.remove('correct', 'wrong');
+  if (i < typed.length) span.classList.add(typed[i] === target[i] ? 'correct' : 'wrong');
+}
+
+// Keep the caret on the second visible line so upcoming text stays in view
+function updateCaret(pos) {
+  promptEl.querySelector('.caret')?.classList.remove('caret');
+  const span = charSpans[pos];
+  if (!span) return;
+  span.classList.add('caret');
+  const line = span.offsetHeight || 1;
+  promptEl.scrollTop = Math.max(0, span.offsetTop - line);
+}
+
+// ── Test lifecycle ───────────────────────────────────────────
+function resetTest() {
+  clearInterval(tickTimer);
+  tickTimer     = null;
+  typed         = [];
+  startTime     = null;
+  finished      = false;
+  totalChars    = 0;
+  backspaces    = 0;
+  deletedChars  = 0;
+  corrections   = 0;
+  lastInputKind = null;
+  charTimes     = [];
+
+  target = buildPrompt();
+  renderPrompt();
+  updateLive();
+
+  resultsEl.classList.add('hidden');
+  testArea.classList.remove('hidden');
+  setSettingsEnabled(true);
+  promptEl.focus();
+}
+
+function setSettingsEnabled(enabled) {
+  for (const group of [modeGroup, lengthGroup, sourceGroup]) {
+    for (const btn of group.children) btn.disabled = !enabled;
+  }
+}
+
+function beginTest(now) {
+  startTime = now;
+  setSettingsEnabled(false);
+  tickTimer = setInterval(tick, 100);
+}
+
+function elapsedMs(now = Date.now()) {
+  if (!startTime) return 0;
+  const ms = now - startTime;
+  return config.mode === 'time' ? Math.min(ms, config.length * 1000) : ms;
+}
+
+function tick() {
+  if (config.mode === 'time' && elapsedMs() >= config.length * 1000) {
+    finishTest();
+    return;
+  }
+  updateLive();
+}
+
+function updateLive() {
+  if (config.mode === 'time') {
+    liveProgress.textContent = Math.ceil((config.length * 1000 - elapsedMs()) / 1000);
+  } else {
+    const wordsDone = target.slice(0, typed.length).split(' ').length - 1;
+    liveProgress.textContent = `${wordsDone}/${config.length}`;
+  }
+  liveWpm.textContent = getSpeed(totalChars, elapsedMs(), settings.charsPerWord).wpm;
+}
+
+// ── Results ──────────────────────────────────────────────────
+// One WPM sample per full second of the test
+function speedSamples(durationMs) {
+  const buckets = new Array(Math.floor(durationMs / 1000)).fill(0);
+  for (const t of charTimes) {
+    const i = Math.floor((t - startTime) / 1000);
+    if (i < buckets.length) buckets[i]++;
+  }
+  return buckets.map(chars => (chars * 60) / settings.charsPerWord);
+}
+
+function getResults() {
+  const duration = elapsedMs();
+  const errors   = typed.reduce((n, ch, i) => n + (ch !== target[i] ? 1 : 0), 0);
+  const samples  = speedSamples(duration);
+  return {
+    duration,
+    errors,
+    ...getSpeed(totalChars, duration, settings.charsPerWord),
+    ...getQuality(totalChars, deletedChars, duration, errors, settings.charsPerWord),
+    consistency: getConsistency(samples),
+    series:      samples.map((wpm, i) => [i + 1, Math.round(wpm)]),
+  };
+}
+
+async function finishTest() {
+  if (finished) return;
+  finished = true;
+  clearInterval(tickTimer);
+  tickTimer = null;
+
+  const r = getResults();
+  resWpm.textContent  = r.wpm;
+  resNet.textContent  = r.netWpm;
+  resAcc.textContent  = `${r.accuracy}%`;
+  resCons.textContent = `${r.consistency}%`;
+  resDetail.textContent =
+    `${(r.duration / 1000).toFixed(1)}s · ${totalChars} characters · ` +
+    `${r.errors} uncorrected · ${deletedChars} deleted · ${r.cpm} CPM`;
+
+  testArea.classList.add('hidden');
+  resultsEl.classList.remove('hidden');
+  setSettingsEnabled(true);
+  restartBtn.focus();
+
+  resSaved.classList.remove('error');
+  resSaved.textContent = 'Saving…';
+  const session = {
+    id:              Date.now(),
+    timestamp:       new Date().toISOString(),
+    type:            'test',
+    device:          await getDeviceId(),
+    profile:         settings.profile,
+    domain:          'Typing test',
+    duration:        Math.round(r.duration / 1000),
+    avgWPM:          r.wpm,
+    avgCPM:          r.cpm,
+    netWPM:          r.netWpm,
+    accuracy:        r.accuracy,
+    correctionRatio: r.correctionRatio,
+    consistency:     r.consistency,
+    totalChars,
+    backspaces,
+    deletedChars,
+    corrections,
+    pastedChars:     0,
+    series:          r.series,
+    test:            { mode: config.mode, length: config.length, source: config.source, errors: r.errors },
+  };
+  try {
+    await addSession(session);
+    await trimHistory(settings.historyLimit);
+    resSaved.textContent = 'Saved to your session history';
+    // Let the worker check goals and personal bests, and sync the result
+    chrome.runtime.sendMessage({ action: 'sessionSaved', session }).catch(() => {});
+  } catch (err) {
+    console.error('[Typing Speed Meter] Failed to save test:', err);
+    resSaved.classList.add('error');
+    resSaved.textContent = 'Could not save this result';
+  }
+}
+
+// ── Keyboard input ───────────────────────────────────────────
+function handleKeyDown(e) {
+  if (e.key === 'Escape') {
+    e.preventDefault();
+    resetTest();
+    return;
+  }
+  if (finished || document.activeElement !== promptEl) return;
+  // Same rule as passive measurement: shortcuts are never typing
+  if (e.ctrlKey || e.metaKey) return;
+
+  const now = Date.now();
+  // Keys landing between the time limit and the next tick do not count
+  if (startTime && config.mode === 'time' && now - startTime >= config.length * 1000) {
+    finishTest();
+    return;
+  }
+
+  if (e.key === 'Backspace') {
+    e.preventDefault();
+    if (!startTime || typed.length === 0) return;
+    typed.pop();
+    paintChar(typed.length);
+    updateCaret(typed.length);
+    if (!e.repeat) backspaces++;
+    deletedChars++;
+    if (lastInputKind !== 'delete') corrections++;
+    lastInputKind = 'delete';
+    return;
+  }
+
+  if (e.key.length !== 1 || e.repeat) return;
+  e.preventDefault();
+
+  if (!startTime) beginTest(now);
+  typed.push(e.key);
+  totalChars++;
+  charTimes.push(now);
+  lastInputKind = 'char';
+  paintChar(typed.length - 1);
+  updateCaret(typed.length);
+
+  if (typed.length >= target.length) finishTest();
+}
+
+document.addEventListener('keydown', handleKeyDown);
+restartBtn.addEventListener('click', resetTest);
+// Clicking anywhere on the test area gives the prompt focus back
+testArea.addEventListener('mousedown', e => {
+  if (e.target !== promptEl) {
+    e.preventDefault();
+    promptEl.focus();
+  }
+});
+
+// ── Init ─────────────────────────────────────────────────────
+loadSettings().then(loaded => { settings = loaded; });
+watchSettings(updated => { settings = updated; });
+renderSettings();
+resetTest();